@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { findType, formatCandidates } = require('./lib/java-types');
+const { getMembers, memberKey } = require('./lib/members');
+const { PLAN_FILE, loadPlan, previousTypeOf } = require('./lib/plan');
+
+function usage() {
+    console.error('Usage: ./api-delta.js [--json] <type-name>');
+    console.error('       ./api-delta.js [--json] --all');
+    console.error('Example: ./api-delta.js AnimationState.TrackEntry');
+    console.error('\nReports added, removed, renamed-looking and signature-changed members');
+    console.error('between spine-libgdx-old.json and spine-libgdx.json.');
+    console.error('\nOptions:');
+    console.error('  --all   Report every type in porting-plan.json');
+    console.error('  --json  Output JSON instead of text');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const all = args.includes('--all');
+const positional = args.filter(arg => !arg.startsWith('--'));
+if ((!all && positional.length < 1) || (all && positional.length > 0)) {
+    usage();
+}
+
+// Read the LSP data files
+const oldLspData = JSON.parse(fs.readFileSync('spine-libgdx-old.json', 'utf8'));
+const newLspData = JSON.parse(fs.readFileSync('spine-libgdx.json', 'utf8'));
+const portingPlan = fs.existsSync(PLAN_FILE) ? loadPlan() : null;
+
+// Levenshtein based similarity of two names in [0, 1]
+function similarity(a, b) {
+    const la = a.toLowerCase();
+    const lb = b.toLowerCase();
+    const prev = new Array(lb.length + 1);
+    for (let j = 0; j <= lb.length; j++) prev[j] = j;
+    for (let i = 1; i <= la.length; i++) {
+        let diagonal = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= lb.length; j++) {
+            const temp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diagonal + (la[i - 1] === lb[j - 1] ? 0 : 1));
+            diagonal = temp;
+        }
+    }
+    const maxLength = Math.max(la.length, lb.length);
+    return maxLength === 0 ? 1 : 1 - prev[lb.length] / maxLength;
+}
+
+// Minimum name similarity for an added/removed pair to be reported as a rename
+const RENAME_SIMILARITY = 0.4;
+
+function describe(member) {
+    return { kind: member.kind, name: member.name, signature: member.signature, line: member.line };
+}
+
+// Computes the member delta between the old and new version of a type
+function computeDelta(oldSymbol, newSymbol) {
+    const oldMembers = oldSymbol ? getMembers(oldSymbol) : [];
+    const newMembers = getMembers(newSymbol);
+    const delta = { added: [], removed: [], renamed: [], changed: [] };
+
+    // Members with identical keys are the same member, the type may still differ.
+    // Constructors are keyed by their parameters, they follow a renamed type's name.
+    const keyOf = member => member.kind === 'constructor' ? `constructor(${member.params.join(', ')})` : memberKey(member);
+    const unmatchedOld = [];
+    const newByKey = new Map();
+    for (const member of newMembers) {
+        const key = keyOf(member);
+        if (!newByKey.has(key)) newByKey.set(key, []);
+        newByKey.get(key).push(member);
+    }
+    for (const member of oldMembers) {
+        const candidates = newByKey.get(keyOf(member));
+        if (candidates && candidates.length > 0) {
+            const match = candidates.shift();
+            if (match.type !== member.type) {
+                delta.changed.push({ from: describe(member), to: describe(match) });
+            }
+        } else {
+            unmatchedOld.push(member);
+        }
+    }
+    let unmatchedNew = [...newByKey.values()].flat();
+
+    // Same kind and name, different parameters: a signature change. Overloads
+    // and constructors are paired by the closest parameter count.
+    const removed = [];
+    for (const member of unmatchedOld) {
+        const sameName = unmatchedNew.filter(m => m.kind === member.kind && (m.kind === 'constructor' || m.name === member.name));
+        if (sameName.length === 0) {
+            removed.push(member);
+            continue;
+        }
+        const paramCount = m => (m.params ? m.params.length : 0);
+        sameName.sort((a, b) => Math.abs(paramCount(a) - paramCount(member)) - Math.abs(paramCount(b) - paramCount(member)));
+        const match = sameName[0];
+        unmatchedNew = unmatchedNew.filter(m => m !== match);
+        delta.changed.push({ from: describe(member), to: describe(match) });
+    }
+
+    // Same kind, parameters and type under a similar name: looks like a rename
+    const renameCandidates = [];
+    for (const oldMember of removed) {
+        for (const newMember of unmatchedNew) {
+            if (oldMember.kind !== newMember.kind || oldMember.type !== newMember.type) continue;
+            if ((oldMember.params || []).join(',') !== (newMember.params || []).join(',')) continue;
+            const score = similarity(oldMember.name, newMember.name);
+            if (score >= RENAME_SIMILARITY) renameCandidates.push({ oldMember, newMember, score });
+        }
+    }
+    renameCandidates.sort((a, b) => b.score - a.score);
+    const renamedOld = new Set();
+    const renamedNew = new Set();
+    for (const { oldMember, newMember } of renameCandidates) {
+        if (renamedOld.has(oldMember) || renamedNew.has(newMember)) continue;
+        renamedOld.add(oldMember);
+        renamedNew.add(newMember);
+        delta.renamed.push({ from: describe(oldMember), to: describe(newMember) });
+    }
+
+    delta.removed = removed.filter(m => !renamedOld.has(m)).map(describe);
+    delta.added = unmatchedNew.filter(m => !renamedNew.has(m)).map(describe);
+
+    const byLine = (a, b) => (a.line || 0) - (b.line || 0);
+    delta.added.sort(byLine);
+    delta.removed.sort(byLine);
+    delta.renamed.sort((a, b) => byLine(a.to, b.to));
+    delta.changed.sort((a, b) => byLine(a.to, b.to));
+    return delta;
+}
+
+// Finds the new and old version of a type and computes its delta. Types of
+// renamed or copied files and moved types are compared with the type the plan
+// links them to.
+function typeDelta(newMatch) {
+    const previous = portingPlan ? previousTypeOf(portingPlan, newMatch.symbol.file, newMatch.qualifiedName) : null;
+    const oldMatches = previous
+        ? findType(oldLspData.symbols, previous.qualifiedName).filter(m => m.symbol.file.endsWith(`/${previous.relativePath}`))
+        : findType(oldLspData.symbols, newMatch.fullName);
+    const oldSymbol = oldMatches.length > 0 ? oldMatches[0].symbol : null;
+    const delta = computeDelta(oldSymbol, newMatch.symbol);
+    const changes = delta.added.length + delta.removed.length + delta.renamed.length + delta.changed.length;
+    return {
+        qualifiedName: newMatch.qualifiedName,
+        kind: newMatch.symbol.kind,
+        file: newMatch.symbol.file,
+        status: !oldSymbol ? 'added' : (changes > 0 ? 'changed' : 'unchanged'),
+        previous: previous && oldSymbol ? { how: previous.how, qualifiedName: previous.qualifiedName, file: previous.javaSourcePath } : null,
+        ...delta
+    };
+}
+
+// Resolves the types to report, either the given type or every type in the plan
+function resolveTypes() {
+    if (!all) {
+        const matches = findType(newLspData.symbols, positional[0]);
+        if (matches.length === 0) {
+            console.error(`Error: Type '${positional[0]}' not found in current version`);
+            process.exit(1);
+        }
+        if (matches.length > 1) {
+            console.error(`Error: Multiple types named '${positional[0]}' found, use a qualified name:`);
+            formatCandidates(matches).forEach(line => console.error(line));
+            process.exit(1);
+        }
+        return matches;
+    }
+
+    if (!portingPlan) {
+        console.error('Error: --all requires porting-plan.json');
+        process.exit(1);
+    }
+    const resolved = [];
+    for (const file of portingPlan.portingOrder) {
+        for (const type of file.types || []) {
+            // Restrict to the plan's file, plans may predate qualified names
+            const matches = findType(newLspData.symbols, type.qualifiedName || type.name)
+                .filter(m => m.symbol.file === file.javaSourcePath);
+            if (matches.length !== 1) {
+                console.error(`Warning: Could not resolve '${type.qualifiedName || type.name}' in ${file.javaSourcePath}`);
+                continue;
+            }
+            resolved.push(matches[0]);
+        }
+    }
+    return resolved;
+}
+
+const results = resolveTypes().map(typeDelta);
+
+if (json) {
+    console.log(JSON.stringify(all ? { types: results } : results[0], null, 2));
+    process.exit(0);
+}
+
+// Human-readable output, one section per type with changes
+const pad = kind => kind.padEnd(12);
+let reported = 0;
+for (const result of results) {
+    if (all && result.status === 'unchanged') continue;
+    reported++;
+
+    const status = result.status === 'added' ? ' (new type)' :
+        (result.previous ? ` (${result.previous.how} from ${result.previous.qualifiedName})` : '');
+    console.log(`${result.qualifiedName} (${result.kind})${status}`);
+    console.log(`  ${result.file}`);
+    if (result.status === 'unchanged') {
+        console.log('  No member changes');
+    }
+    for (const m of result.removed) {
+        console.log(`  - ${pad(m.kind)} ${m.signature}  [old line ${m.line}]`);
+    }
+    for (const m of result.added) {
+        console.log(`  + ${pad(m.kind)} ${m.signature}  [line ${m.line}]`);
+    }
+    for (const { from, to } of result.changed) {
+        console.log(`  ~ ${pad(to.kind)} ${from.signature}`);
+        console.log(`    ${pad('')} -> ${to.signature}  [line ${to.line}]`);
+    }
+    for (const { from, to } of result.renamed) {
+        console.log(`  ? ${pad(to.kind)} ${from.signature}`);
+        console.log(`    ${pad('')} -> ${to.signature}  [line ${to.line}, renamed?]`);
+    }
+    console.log();
+}
+
+if (all) {
+    const count = key => results.reduce((sum, r) => sum + r[key].length, 0);
+    console.log(`${reported} of ${results.length} types with API changes: ` +
+        `${count('added')} added, ${count('removed')} removed, ` +
+        `${count('changed')} changed, ${count('renamed')} renamed-looking members`);
+}
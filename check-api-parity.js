@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { findType, formatCandidates } = require('./lib/java-types');
+const { accessorProperty, normalizedMembers, typeScore, sameParamTypes } = require('./lib/language-rules');
+const { previousTypeOf } = require('./lib/plan');
+const { findTargetType } = require('./lib/target-types');
+
+function usage() {
+    console.error('Usage: ./check-api-parity.js [options] <type-name>');
+    console.error('       ./check-api-parity.js [options] --all');
+    console.error('Example: ./check-api-parity.js AnimationState.TrackEntry');
+    console.error('\nCompares the members of a Java type in spine-libgdx.json with the matching');
+    console.error('type in the target runtime LSP data and reports missing, extra and');
+    console.error('signature-mismatched members.');
+    console.error('\nOptions:');
+    console.error('  --all                 Check every type in porting-plan.json');
+    console.error('  --target <file>       Target LSP data (default: <targetRuntime>.json from porting-plan.json)');
+    console.error('  --language <lang>     Target language: cpp, typescript, haxe, csharp (default: from porting-plan.json)');
+    console.error('  --include-private     Also require non-public Java members in the target');
+    console.error('  --json                Output JSON instead of text');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = { all: false, json: false, includePrivate: false, target: null, language: null };
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--all') options.all = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--include-private') options.includePrivate = true;
+    else if (arg === '--target' || arg === '--language') {
+        if (i + 1 >= args.length) usage();
+        options[arg.substring(2)] = args[++i];
+    } else if (arg.startsWith('--')) {
+        console.error(`Error: Unknown option '${arg}'`);
+        usage();
+    } else {
+        positional.push(arg);
+    }
+}
+if ((!options.all && positional.length < 1) || (options.all && positional.length > 0)) {
+    usage();
+}
+
+const portingPlan = fs.existsSync('porting-plan.json') ? JSON.parse(fs.readFileSync('porting-plan.json', 'utf8')) : null;
+if ((!options.target || !options.language) && !portingPlan) {
+    console.error('Error: porting-plan.json not found, pass --target and --language');
+    process.exit(1);
+}
+const targetFile = options.target || `${portingPlan.metadata.targetRuntime}.json`;
+const language = options.language || portingPlan.metadata.targetRuntimeLanguage;
+
+// Read the LSP data files
+const javaLspData = JSON.parse(fs.readFileSync('spine-libgdx.json', 'utf8'));
+const targetLspData = JSON.parse(fs.readFileSync(targetFile, 'utf8'));
+
+const sourceCache = new Map();
+function readLines(file) {
+    if (!sourceCache.has(file)) {
+        try {
+            sourceCache.set(file, fs.readFileSync(file, 'utf8').split('\n'));
+        } catch (error) {
+            sourceCache.set(file, []);
+        }
+    }
+    return sourceCache.get(file);
+}
+
+function paramCount(member) {
+    return member.params ? member.params.length : 0;
+}
+
+function describe(member) {
+    return { kind: member.kind, name: member.name, signature: member.signature, file: member.symbol.file, line: member.line };
+}
+
+// Compares a Java type with its target counterpart
+function compareType(javaSymbol, targetSymbol) {
+    const javaMembers = normalizedMembers(javaSymbol, 'java', readLines);
+    const targetMembers = normalizedMembers(targetSymbol, language, readLines);
+    const matched = new Set();
+    const result = { missing: [], extra: [], mismatched: [] };
+
+    const named = (kinds, name) => targetMembers.filter(t => kinds.includes(t.kind) && t.canonicalName === name);
+    const take = member => {
+        matched.add(member);
+        return member;
+    };
+
+    const report = javaMember => options.includePrivate || javaMember.visible;
+    const overloads = javaMember => javaMember.kind === 'constructor'
+        ? targetMembers.filter(t => t.kind === 'constructor')
+        : named(['method'], javaMember.canonicalName);
+    const byTypes = javaMember => (a, b) => typeScore(javaMember, b, language) - typeScore(javaMember, a, language);
+
+    // Methods and constructors first, fields may share their getters and setters.
+    // Each Java overload takes the unpaired target overload with the same parameter
+    // count and the most matching parameter types, like compare-method.js.
+    const methods = javaMembers.filter(m => m.kind === 'method' || m.kind === 'constructor');
+    const pairs = new Map();
+    for (const javaMember of methods) {
+        const sameCount = overloads(javaMember).filter(t => !matched.has(t) && paramCount(t) === paramCount(javaMember));
+        if (sameCount.length > 0) pairs.set(javaMember, take(sameCount.sort(byTypes(javaMember))[0]));
+    }
+    for (const javaMember of methods) {
+        const candidates = overloads(javaMember);
+        let target = pairs.get(javaMember);
+        if (!target && !candidates.some(t => paramCount(t) === paramCount(javaMember))) {
+            // The port may have added or dropped a parameter
+            target = candidates.filter(t => !matched.has(t)).sort(byTypes(javaMember))[0];
+            if (target) take(target);
+        }
+        const property = accessorProperty(javaMember.name) ? named(['field'], accessorProperty(javaMember.name)) : [];
+        if (target) {
+            if (report(javaMember) && !sameParamTypes(javaMember, target, language)) {
+                result.mismatched.push({ java: describe(javaMember), target: describe(target) });
+            }
+        } else if (candidates.length === 0 && property.length > 0) {
+            // Getters and setters may be idiomatic properties in the target
+            property.forEach(take);
+        } else if (report(javaMember)) {
+            // No overload left, even if the target has others with the same parameter count
+            result.missing.push(describe(javaMember));
+        }
+    }
+
+    for (const javaMember of javaMembers) {
+        const name = javaMember.canonicalName;
+
+        if (javaMember.kind === 'enumConstant') {
+            const found = targetMembers.filter(t => ['enumConstant', 'field'].includes(t.kind) &&
+                t.canonicalName.toLowerCase() === name.toLowerCase());
+            if (found.length > 0) take(found[0]);
+            else if (report(javaMember)) result.missing.push(describe(javaMember));
+        } else if (javaMember.kind === 'field') {
+            // spine-cpp exposes fields through getters and setters
+            const capitalized = name.charAt(0).toUpperCase() + name.substring(1);
+            const found = named(['field'], name).concat(
+                named(['method'], `get${capitalized}`), named(['method'], `is${capitalized}`), named(['method'], `set${capitalized}`));
+            if (found.length > 0) found.forEach(take);
+            else if (report(javaMember)) result.missing.push(describe(javaMember));
+        }
+    }
+
+    result.extra = targetMembers.filter(t => t.visible && !matched.has(t)).map(describe);
+    return result;
+}
+
+// Resolves the Java types to check, either the given type or every type in the plan
+function resolveJavaTypes() {
+    if (!options.all) {
+        const matches = findType(javaLspData.symbols, positional[0]);
+        if (matches.length === 0) {
+            console.error(`Error: Type '${positional[0]}' not found in spine-libgdx.json`);
+            process.exit(1);
+        }
+        if (matches.length > 1) {
+            console.error(`Error: Multiple types named '${positional[0]}' found, use a qualified name:`);
+            formatCandidates(matches).forEach(line => console.error(line));
+            process.exit(1);
+        }
+        return matches;
+    }
+
+    if (!portingPlan) {
+        console.error('Error: --all requires porting-plan.json');
+        process.exit(1);
+    }
+    const resolved = [];
+    for (const file of portingPlan.portingOrder) {
+        for (const type of file.types || []) {
+            const matches = findType(javaLspData.symbols, type.qualifiedName || type.name)
+                .filter(m => m.symbol.file === file.javaSourcePath);
+            if (matches.length === 1) resolved.push(matches[0]);
+            else console.error(`Warning: Could not resolve '${type.qualifiedName || type.name}' in ${file.javaSourcePath}`);
+        }
+    }
+    return resolved;
+}
+
+// Finds the target type of a Java type as { symbol, previousName }. The target may
+// not have followed a rename or move yet, so those are also looked up under the
+// old name the plan links them to, previousName is then that name.
+function findTargetFor(javaType) {
+    const symbol = findTargetType(targetLspData, javaType.name, javaType.parent ? javaType.parent.name : null);
+    const previous = !symbol && portingPlan ? previousTypeOf(portingPlan, javaType.symbol.file, javaType.qualifiedName) : null;
+    // A copy's original still exists under the old name, it is not the copy's port
+    if (!previous || previous.how === 'copied') return { symbol, previousName: null };
+    const segments = previous.qualifiedName.split('.');
+    const outerName = segments.length > 1 ? segments[segments.length - 2] : null;
+    const previousSymbol = findTargetType(targetLspData, segments[segments.length - 1], outerName);
+    return { symbol: previousSymbol, previousName: previousSymbol ? previous.qualifiedName : null };
+}
+
+const results = resolveJavaTypes().map(javaType => {
+    const { symbol: targetSymbol, previousName } = findTargetFor(javaType);
+    const base = {
+        qualifiedName: javaType.qualifiedName,
+        kind: javaType.symbol.kind,
+        javaFile: javaType.symbol.file,
+        targetFile: targetSymbol ? targetSymbol.file : null,
+        previousName
+    };
+    if (!targetSymbol) {
+        return { ...base, status: 'missing-type', missing: [], extra: [], mismatched: [] };
+    }
+    const result = compareType(javaType.symbol, targetSymbol);
+    const issues = result.missing.length + result.extra.length + result.mismatched.length;
+    return { ...base, status: issues > 0 ? 'differs' : 'ok', ...result };
+});
+
+if (options.json) {
+    console.log(JSON.stringify(options.all ? { language, types: results } : results[0], null, 2));
+    process.exit(results.some(r => r.status !== 'ok') ? 2 : 0);
+}
+
+// Human-readable output, one section per type with issues
+const pad = text => text.padEnd(12);
+const location = m => `${path.basename(m.file)}:${m.line}`;
+for (const result of results) {
+    if (options.all && result.status === 'ok') continue;
+
+    console.log(`${result.qualifiedName} (${result.kind})`);
+    if (result.status === 'missing-type') {
+        console.log(`  Type not found in ${targetFile}`);
+        console.log();
+        continue;
+    }
+    console.log(`  ${result.javaFile}`);
+    console.log(`  ${result.targetFile}${result.previousName ? ` (as ${result.previousName}, not renamed yet)` : ''}`);
+    if (result.status === 'ok') {
+        console.log('  APIs match');
+    }
+    for (const m of result.missing) {
+        console.log(`  missing     ${pad(m.kind)} ${m.signature}  [${location(m)}]`);
+    }
+    for (const { java, target } of result.mismatched) {
+        console.log(`  mismatch    ${pad(java.kind)} ${java.signature}  [${location(java)}]`);
+        console.log(`              ${pad('')} ${target.signature}  [${location(target)}]`);
+    }
+    for (const m of result.extra) {
+        console.log(`  extra       ${pad(m.kind)} ${m.signature}  [${location(m)}]`);
+    }
+    console.log();
+}
+
+if (options.all) {
+    const count = key => results.reduce((sum, r) => sum + r[key].length, 0);
+    const differing = results.filter(r => r.status !== 'ok').length;
+    console.log(`${differing} of ${results.length} types differ: ` +
+        `${results.filter(r => r.status === 'missing-type').length} missing types, ` +
+        `${count('missing')} missing, ${count('mismatched')} mismatched, ${count('extra')} extra members`);
+}
+process.exit(results.some(r => r.status !== 'ok') ? 2 : 0);
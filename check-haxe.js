@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { parseHaxeDiagnostics, groupByFile, run, reportResult } = require('./lib/diagnostics');
+const { loadPlan } = require('./lib/plan');
+const { selectTargetFiles } = require('./lib/target-files');
+
+// Backend packages that need OpenFL, Starling or Flixel, not part of the core runtime
+const BACKEND_PACKAGES = ['spine.starling', 'spine.flixel'];
+
+function usage() {
+    console.error('Usage: ./check-haxe.js [options] [hx-file...]');
+    console.error('       ./check-haxe.js [options] --type <type-name>');
+    console.error('       ./check-haxe.js [options] --changed');
+    console.error('       ./check-haxe.js [options] --all');
+    console.error('\nCompiles the spine package of spine-haxe without generating output and reports');
+    console.error('the diagnostics of the selected files. Without a selection, the candidate files');
+    console.error('of the in-progress type in porting-plan.json are reported.');
+    console.error('\nOptions:');
+    console.error('  --type <type-name>   Report the .hx files in the type\'s candidateFiles');
+    console.error('  --changed            Report the .hx files changed in the target working tree');
+    console.error('  --all                Report all files');
+    console.error('  --haxe <cmd>         Haxe compiler (default: haxe)');
+    console.error(`  --backends           Also compile ${BACKEND_PACKAGES.join(', ')}, needs their haxelibs`);
+    console.error('  --lib <name>         Add a haxelib, can be repeated');
+    console.error('  --json               Output JSON instead of text');
+    console.error('\nExamples:');
+    console.error('  ./check-haxe.js');
+    console.error('  ./check-haxe.js --type AnimationState.TrackEntry');
+    console.error('  ./check-haxe.js --all --backends --lib openfl --lib starling --lib flixel');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = { type: null, changed: false, all: false, haxe: 'haxe', backends: false, libs: [], json: false };
+const files = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--changed') options.changed = true;
+    else if (arg === '--all') options.all = true;
+    else if (arg === '--backends') options.backends = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--lib') {
+        if (i + 1 >= args.length) usage();
+        options.libs.push(args[++i]);
+    } else if (arg === '--type' || arg === '--haxe') {
+        if (i + 1 >= args.length) usage();
+        options[arg.substring(2)] = args[++i];
+    } else if (arg.startsWith('--')) {
+        console.error(`Error: Unknown option '${arg}'`);
+        usage();
+    } else {
+        files.push(path.resolve(arg));
+    }
+}
+if ([files.length > 0, options.type !== null, options.changed, options.all].filter(Boolean).length > 1) {
+    usage();
+}
+// The check runs in the project directory, keep relative compiler paths working
+if (options.haxe && options.haxe.includes(path.sep)) options.haxe = path.resolve(options.haxe);
+
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+let plan;
+try {
+    plan = loadPlan();
+} catch (error) {
+    fail(error.message);
+}
+const { targetRuntime, targetRuntimePath } = plan.metadata;
+if (targetRuntime !== 'spine-haxe') {
+    fail(`porting-plan.json targets ${targetRuntime}, check-haxe.js only supports spine-haxe`);
+}
+
+async function main() {
+    let selection;
+    try {
+        selection = selectTargetFiles(plan, { ...options, files }, '.hx');
+    } catch (error) {
+        fail(error.message);
+    }
+    if (selection.files && selection.files.length === 0) {
+        if (!options.json) console.log(`No .hx files to check for ${selection.description}`);
+        else console.log(JSON.stringify({ checker: 'haxe', success: true, files: [], diagnostics: [] }, null, 2));
+        return 0;
+    }
+
+    // --no-output still needs a target, the JS one has no extra dependencies
+    const excluded = options.backends ? [] : BACKEND_PACKAGES;
+    const include = `include('spine', true, [${excluded.map(name => `'${name}'`).join(', ')}])`;
+    const haxeArgs = [
+        '-cp', '.',
+        '--macro', include,
+        ...options.libs.flatMap(lib => ['-lib', lib]),
+        '-D', 'message.reporting=classic',
+        '-js', 'check-haxe.js',
+        '--no-output'
+    ];
+
+    if (!options.json) console.error(`Checking: ${targetRuntimePath} (${selection.description})`);
+    const { code, output } = await run(options.haxe, haxeArgs, { cwd: targetRuntimePath });
+    const diagnostics = parseHaxeDiagnostics(output);
+    const grouped = groupByFile(diagnostics, targetRuntimePath, selection.files);
+
+    // Haxe failed without file diagnostics, e.g. a missing compiler or haxelib
+    if (code !== 0 && diagnostics.length === 0) {
+        grouped.files.push({ file: targetRuntimePath, success: false, diagnostics: [], output });
+    }
+
+    const result = {
+        checker: 'haxe',
+        compiler: options.haxe,
+        success: grouped.files.every(file => file.success),
+        files: grouped.files,
+        diagnostics: grouped.files.flatMap(file => file.diagnostics),
+        ignoredDiagnostics: grouped.ignored
+    };
+    return reportResult(result, options.json);
+}
+
+main().then(code => process.exit(code)).catch(error => fail(error.message));
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTscDiagnostics, groupByFile, run, reportResult } = require('./lib/diagnostics');
+const { loadPlan } = require('./lib/plan');
+const { selectTargetFiles } = require('./lib/target-files');
+
+function usage() {
+    console.error('Usage: ./check-ts.js [options] [ts-file...]');
+    console.error('       ./check-ts.js [options] --type <type-name>');
+    console.error('       ./check-ts.js [options] --changed');
+    console.error('       ./check-ts.js [options] --all');
+    console.error('\nType checks spine-core with an incremental, no-emit tsc run and reports the');
+    console.error('diagnostics of the selected files. Without a selection, the candidate files of');
+    console.error('the in-progress type in porting-plan.json are reported.');
+    console.error('\nOptions:');
+    console.error('  --type <type-name>   Report the .ts files in the type\'s candidateFiles');
+    console.error('  --changed            Report the .ts files changed in the target working tree');
+    console.error('  --all                Report all files');
+    console.error('  --tsc <cmd>          TypeScript compiler (default: tsc from node_modules, else tsc on the PATH)');
+    console.error('  --project <file>     tsconfig.json to check (default: <targetRuntimePath>/tsconfig.json)');
+    console.error('  --json               Output JSON instead of text');
+    console.error('\nExamples:');
+    console.error('  ./check-ts.js');
+    console.error('  ./check-ts.js --type AnimationState.TrackEntry');
+    console.error('  ./check-ts.js --changed --json');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = { type: null, changed: false, all: false, tsc: null, project: null, json: false };
+const files = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--changed') options.changed = true;
+    else if (arg === '--all') options.all = true;
+    else if (arg === '--json') options.json = true;
+    else if (['--type', '--tsc', '--project'].includes(arg)) {
+        if (i + 1 >= args.length) usage();
+        options[arg.substring(2)] = args[++i];
+    } else if (arg.startsWith('--')) {
+        console.error(`Error: Unknown option '${arg}'`);
+        usage();
+    } else {
+        files.push(path.resolve(arg));
+    }
+}
+if ([files.length > 0, options.type !== null, options.changed, options.all].filter(Boolean).length > 1) {
+    usage();
+}
+// The check runs in the project directory, keep relative compiler paths working
+if (options.tsc && options.tsc.includes(path.sep)) options.tsc = path.resolve(options.tsc);
+
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+let plan;
+try {
+    plan = loadPlan();
+} catch (error) {
+    fail(error.message);
+}
+const { targetRuntime, targetRuntimePath } = plan.metadata;
+if (targetRuntime !== 'spine-ts') {
+    fail(`porting-plan.json targets ${targetRuntime}, check-ts.js only supports spine-ts`);
+}
+const project = path.resolve(options.project || path.join(targetRuntimePath, 'tsconfig.json'));
+
+// spine-ts installs TypeScript in the workspace root, look for it above spine-core
+function findTsc() {
+    for (let dir = targetRuntimePath; ; dir = path.dirname(dir)) {
+        const candidate = path.join(dir, 'node_modules', '.bin', 'tsc');
+        if (fs.existsSync(candidate)) return candidate;
+        if (path.dirname(dir) === dir) return 'tsc';
+    }
+}
+
+async function main() {
+    let selection;
+    try {
+        selection = selectTargetFiles(plan, { ...options, files }, '.ts');
+    } catch (error) {
+        fail(error.message);
+    }
+    if (selection.files && selection.files.length === 0) {
+        if (!options.json) console.log(`No .ts files to check for ${selection.description}`);
+        else console.log(JSON.stringify({ checker: 'ts', success: true, files: [], diagnostics: [] }, null, 2));
+        return 0;
+    }
+
+    // The build info lives outside the repository so repeated checks stay incremental
+    const projectHash = crypto.createHash('sha1').update(project).digest('hex').substring(0, 12);
+    const buildInfo = path.join(os.tmpdir(), `check-ts-${projectHash}.tsbuildinfo`);
+    const tsc = options.tsc || findTsc();
+    const tscArgs = ['-p', project, '--noEmit', '--incremental', '--tsBuildInfoFile', buildInfo, '--pretty', 'false'];
+
+    if (!options.json) console.error(`Checking: ${project} (${selection.description})`);
+    const cwd = path.dirname(project);
+    const { code, output } = await run(tsc, tscArgs, { cwd });
+    const diagnostics = parseTscDiagnostics(output);
+    const grouped = groupByFile(diagnostics, cwd, selection.files);
+
+    // tsc failed without file diagnostics, e.g. a missing compiler or a broken tsconfig.json
+    if (code !== 0 && diagnostics.length === 0) {
+        grouped.files.push({ file: project, success: false, diagnostics: [], output });
+    }
+
+    const result = {
+        checker: 'ts',
+        compiler: tsc,
+        project,
+        success: grouped.files.every(file => file.success),
+        files: grouped.files,
+        diagnostics: grouped.files.flatMap(file => file.diagnostics),
+        ignoredDiagnostics: grouped.ignored
+    };
+    return reportResult(result, options.json);
+}
+
+main().then(code => process.exit(code)).catch(error => fail(error.message));
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { findType, formatCandidates } = require('./lib/java-types');
+const { getMembers, splitParams } = require('./lib/members');
+const { normalizedMembers, typeScore } = require('./lib/language-rules');
+const { PLAN_FILE, loadPlan } = require('./lib/plan');
+const { loadRuntimeConfig } = require('./lib/runtimes');
+const { findTargetType, targetTypeQuery } = require('./lib/target-types');
+const { diffLines } = require('./lib/diff');
+
+function usage() {
+    console.error('Usage: ./compare-method.js [options] <type-name>.<method>[(<params>)]');
+    console.error('Example: ./compare-method.js Animation.apply');
+    console.error('         ./compare-method.js "AnimationState.TrackEntry.getAnimationTime()"');
+    console.error('         ./compare-method.js Bone.Bone');
+    console.error('\nOptions:');
+    console.error('  --width <n>          Total output width (default: the terminal width, or 200)');
+    console.error('  --target <file>      Target LSP data (default: <targetRuntime>.json from porting-plan.json)');
+    console.error('  --language <lang>    Target language (default: targetRuntimeLanguage from porting-plan.json)');
+    console.error('\nThe method name <type-name>.<simple type name> selects the constructors. Overloads are');
+    console.error('paired by parameter count and types, then printed side by side with differences in');
+    console.error('control flow and statement counts flagged.');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = { width: process.stdout.columns || 200, target: null, language: null };
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--width' || arg === '--target' || arg === '--language') {
+        if (i + 1 >= args.length) usage();
+        options[arg.substring(2)] = args[++i];
+    } else if (arg.startsWith('--')) {
+        console.error(`Error: Unknown option '${arg}'`);
+        usage();
+    } else {
+        positional.push(arg);
+    }
+}
+if (positional.length !== 1) {
+    usage();
+}
+options.width = parseInt(options.width, 10);
+if (!(options.width >= 40)) {
+    console.error('Error: --width must be at least 40');
+    usage();
+}
+
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+// Split `Type.method(params)` into the type name and the member query
+const query = positional[0];
+const paren = query.indexOf('(');
+const qualifiedMethod = paren === -1 ? query : query.substring(0, paren);
+const dot = qualifiedMethod.lastIndexOf('.');
+if (dot <= 0) usage();
+const typeName = qualifiedMethod.substring(0, dot);
+const methodName = qualifiedMethod.substring(dot + 1);
+const queryParams = paren === -1 ? null : splitParams(query.substring(paren + 1, query.lastIndexOf(')')));
+
+const plan = fs.existsSync(PLAN_FILE) ? loadPlan() : null;
+if ((!options.target || !options.language) && !plan) {
+    fail(`${PLAN_FILE} not found, pass --target and --language`);
+}
+const targetFile = options.target || `${plan.metadata.targetRuntime}.json`;
+const language = options.language || plan.metadata.targetRuntimeLanguage;
+
+const javaLspData = JSON.parse(fs.readFileSync('spine-libgdx.json', 'utf8'));
+const targetLspData = JSON.parse(fs.readFileSync(targetFile, 'utf8'));
+
+const sourceCache = new Map();
+function readLines(file) {
+    if (!sourceCache.has(file)) {
+        try {
+            sourceCache.set(file, fs.readFileSync(file, 'utf8').split('\n'));
+        } catch (error) {
+            fail(`Could not read ${file} (${error.code || error.message})`);
+        }
+    }
+    return sourceCache.get(file);
+}
+
+// Find the Java type and the requested methods
+const javaMatches = findType(javaLspData.symbols, typeName);
+if (javaMatches.length === 0) fail(`Type '${typeName}' not found in spine-libgdx.json`);
+if (javaMatches.length > 1) {
+    console.error(`Error: Multiple types named '${typeName}' found, use a qualified name:`);
+    formatCandidates(javaMatches).forEach(line => console.error(line));
+    process.exit(1);
+}
+const javaType = javaMatches[0];
+const isConstructor = methodName === javaType.symbol.name.replace(/<.*$/, '');
+const memberKind = isConstructor ? 'constructor' : 'method';
+
+const normalize = params => params.map(param => param.replace(/\s+/g, '')).join(',');
+const javaMethods = getMembers(javaType.symbol).filter(member => member.kind === memberKind &&
+    (isConstructor || member.name === methodName) &&
+    (!queryParams || normalize(member.params) === normalize(queryParams)));
+if (javaMethods.length === 0) {
+    console.error(`Error: Method '${query}' not found in ${javaType.qualifiedName}`);
+    getMembers(javaType.symbol).filter(member => member.name === methodName)
+        .forEach(member => console.error(`  - ${member.signature}`));
+    process.exit(1);
+}
+
+// Find the target type and its overloads, by their Java name
+const runtime = plan ? loadRuntimeConfig().runtimes[plan.metadata.targetRuntime] : null;
+const targetQuery = targetTypeQuery(javaType.qualifiedName, runtime);
+const targetType = findTargetType(targetLspData, targetQuery.name, targetQuery.outerName, targetQuery.typeKinds);
+if (!targetType) fail(`Type '${targetQuery.name}' not found in ${path.basename(targetFile)}`);
+const targetMethods = normalizedMembers(targetType, language, readLines)
+    .filter(member => member.kind === memberKind && (isConstructor || member.canonicalName === methodName));
+
+const paramCount = member => (member.params || []).length;
+
+// Pair each Java overload with the unpaired target overload with the same
+// parameter count and the most matching parameter types. Overloads left over
+// are paired by types alone, the port may have added or dropped a parameter.
+const paired = new Set();
+const pairs = javaMethods.map(javaMethod => ({ java: javaMethod, target: null }));
+for (const sameCount of [true, false]) {
+    for (const pair of pairs.filter(pair => !pair.target)) {
+        const candidates = targetMethods.filter(target => !paired.has(target) &&
+            (!sameCount || paramCount(target) === paramCount(pair.java)));
+        candidates.sort((a, b) => typeScore(pair.java, b, language) - typeScore(pair.java, a, language));
+        pair.target = candidates[0] || null;
+        if (pair.target) paired.add(pair.target);
+    }
+}
+
+// Returns the body of a member as { file, start, end, lines }, preferring the
+// definition, e.g. in the .cpp file, over the declaration
+function body(member) {
+    const definition = member.symbol.definition;
+    const hasDefinition = definition && definition.file && definition.range;
+    const file = hasDefinition ? definition.file : member.symbol.file;
+    const range = hasDefinition ? definition.range : member.symbol.range;
+    // Skip javadoc and annotations the range may include
+    const start = !hasDefinition && member.symbol.selectionRange ? member.symbol.selectionRange.start.line : range.start.line;
+    const source = readLines(file);
+    if (range.end.line > source.length) {
+        fail(`${file} has ${source.length} lines, ${member.symbol.name} ends at line ${range.end.line}, is the LSP data stale?`);
+    }
+    const lines = source.slice(start - 1, range.end.line);
+    return { file, start, end: range.end.line, lines };
+}
+
+// Control flow keywords compared between both sides, other code lines are
+// statements. Blank and comment lines have no kind and are never aligned.
+const CONTROL_KINDS = ['if', 'else if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default',
+    'return', 'break', 'continue', 'throw', 'try', 'catch', 'finally'];
+
+function stripComments(text) {
+    return text.replace(/\/\/.*$/, '').replace(/\/\*.*?\*\//g, '').trim();
+}
+
+// The code of a line without comments and string literals
+function codeOf(text) {
+    return stripComments(text).replace(/"([^"\\]|\\.)*"|'([^'\\]|\\.)*'/g, '""');
+}
+
+function lineKind(text) {
+    const code = codeOf(text);
+    if (code === '' || code.startsWith('*') || code.startsWith('/*')) return null;
+    if (/^\}?\s*else\s+if\b/.test(code)) return 'else if';
+    if (/^\}?\s*else\b/.test(code)) return 'else';
+    const keyword = code.replace(/^\}\s*/, '').match(/^(if|for|while|do|switch|case|default|return|break|continue|throw|try|catch|finally)\b/);
+    if (keyword) return keyword[1];
+    if (/^[{}();\s]*$/.test(code)) return 'brace';
+    return 'statement';
+}
+
+// Identifiers of a line without member prefixes, keywords and literals, used to
+// align lines doing the same thing in both languages, e.g. `_x = _parent->_x` and `x = parent.x`
+const IGNORED_WORDS = new Set([...CONTROL_KINDS, 'new', 'this', 'null', 'nullptr', 'true', 'false']);
+function identifiers(text) {
+    const words = codeOf(text).match(/[A-Za-z_]\w*/g) || [];
+    return new Set(words.map(word => word.replace(/^_+/, '').toLowerCase()).filter(word => word.length > 1 && !IGNORED_WORDS.has(word)));
+}
+
+// Statements end in a semicolon, except in for loop headers
+function statementCount(lines) {
+    let count = 0;
+    for (const text of lines) {
+        if (lineKind(text) === 'for') continue;
+        count += (codeOf(text).match(/;/g) || []).length;
+    }
+    return count;
+}
+
+function toItems(lines, start) {
+    return lines.map((text, i) => ({ lineNum: start + i, text, kind: lineKind(text), identifiers: identifiers(text) }));
+}
+
+function sameLine(a, b) {
+    if (!a.kind || a.kind !== b.kind) return false;
+    if (a.identifiers.size === 0 && b.identifiers.size === 0) return true;
+    return [...a.identifiers].some(word => b.identifiers.has(word));
+}
+
+// Counts of each control flow kind and of statements that differ between both sides
+function structuralDifferences(javaBody, targetBody) {
+    // Keywords are counted per occurrence, `if (x) return;` has an if and a return
+    const counts = lines => {
+        const result = new Map(CONTROL_KINDS.map(kind => [kind, 0]));
+        for (const text of lines) {
+            for (const match of codeOf(text).matchAll(/\belse\s+if\b|\b(?:if|else|for|while|do|switch|case|default|return|break|continue|throw|try|catch|finally)\b/g)) {
+                const kind = match[0].replace(/\s+/, ' ');
+                result.set(kind, result.get(kind) + 1);
+            }
+        }
+        result.set('statements', statementCount(lines));
+        return result;
+    };
+    const javaCounts = counts(javaBody.lines);
+    const targetCounts = counts(targetBody.lines);
+    return [...javaCounts.keys()]
+        .filter(kind => javaCounts.get(kind) !== targetCounts.get(kind))
+        .map(kind => `${kind} ${javaCounts.get(kind)} vs ${targetCounts.get(kind)}`);
+}
+
+// Removes the indentation both sides share, tabs count as 4 columns
+function dedent(items) {
+    const expanded = items.map(item => ({ ...item, text: item.text.replace(/\t/g, '    ') }));
+    const indents = expanded.filter(item => item.text.trim() !== '').map(item => item.text.match(/^ */)[0].length);
+    const common = indents.length > 0 ? Math.min(...indents) : 0;
+    return expanded.map(item => ({ ...item, text: item.text.substring(common) }));
+}
+
+function cell(item, width) {
+    if (!item) return ''.padEnd(width);
+    const text = `${item.lineNum.toString().padStart(5)}: ${item.text}`;
+    return text.length > width ? text.substring(0, width - 1) + '…' : text.padEnd(width);
+}
+
+// Aligns both bodies and prints them as two columns. The gutter marks lines
+// only on one side, `!` for control flow missing on the other side.
+function printSideBySide(javaBody, targetBody) {
+    const javaItems = dedent(toItems(javaBody.lines, javaBody.start));
+    const targetItems = dedent(toItems(targetBody.lines, targetBody.start));
+    const columnWidth = Math.floor((options.width - 5) / 2);
+    for (const op of diffLines(javaItems, targetItems, sameLine)) {
+        const left = op.oldIndex === -1 ? null : javaItems[op.oldIndex];
+        const right = op.newIndex === -1 ? null : targetItems[op.newIndex];
+        const single = left || right;
+        const flag = op.type !== 'equal' && CONTROL_KINDS.includes(single.kind) ? '!' : ' ';
+        const separator = op.type === 'equal' ? '|' : (left ? '<' : '>');
+        console.log(`${flag} ${cell(left, columnWidth)} ${separator} ${right ? cell(right, columnWidth).trimEnd() : ''}`.trimEnd());
+    }
+}
+
+const location = body => `${body.file}:${body.start}-${body.end}`;
+
+pairs.forEach(({ java, target }, i) => {
+    if (i > 0) console.log('');
+    console.log(`=== ${javaType.qualifiedName}.${java.signature} ===`);
+    const javaBody = body(java);
+    console.log(`Java:   ${location(javaBody)}`);
+    if (!target) {
+        console.log(`Target: no ${memberKind} left to pair in ${targetType.name}`);
+        return;
+    }
+    const targetBody = body(target);
+    console.log(`Target: ${target.signature} in ${location(targetBody)}`);
+    if (paramCount(target) !== paramCount(java)) {
+        console.log(`Parameter count differs: ${paramCount(java)} vs ${paramCount(target)}`);
+    }
+    console.log('');
+    printSideBySide(javaBody, targetBody);
+    console.log('');
+    const differences = structuralDifferences(javaBody, targetBody);
+    if (differences.length > 0) {
+        console.log(`Structural differences (Java vs target): ${differences.join(', ')}`);
+    } else {
+        console.log('No structural differences');
+    }
+});
+
+// Target overloads left over have no Java counterpart, unless a single Java
+// overload was asked for
+const unpaired = targetMethods.filter(target => !paired.has(target));
+if (unpaired.length > 0 && !queryParams) {
+    console.log(`\nTarget overloads without a Java counterpart:`);
+    unpaired.forEach(target => console.log(`  - ${target.signature} at ${target.symbol.file}:${target.line}`));
+}
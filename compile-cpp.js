@@ -1,25 +1,147 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { parseGccDiagnostics, run, runParallel, reportResult } = require('./lib/diagnostics');
+const { loadPlan } = require('./lib/plan');
+const { typeCandidateFiles, changedFiles } = require('./lib/target-files');
 
-if (process.argv.length < 3) {
-    console.error('Usage: compile-cpp.js <cpp-file-path>');
+function usage() {
+    console.error('Usage: ./compile-cpp.js [options] <cpp-file>...');
+    console.error('       ./compile-cpp.js [options] --type <type-name>');
+    console.error('       ./compile-cpp.js [options] --changed');
+    console.error('\nCompiles spine-cpp sources, with paths taken from porting-plan.json.');
+    console.error('\nOptions:');
+    console.error('  --type <type-name>   Compile the .cpp files in the type\'s candidateFiles');
+    console.error('  --changed            Compile the .cpp files changed in the target working tree');
+    console.error('  --compiler <cmd>     C++ compiler (default: $CXX or g++)');
+    console.error('  --std <std>          C++ standard (default: c++11)');
+    console.error('  --jobs <n>           Parallel compiles (default: number of CPUs)');
+    console.error('  --json               Output JSON instead of text');
+    console.error('\nExamples:');
+    console.error('  ./compile-cpp.js /path/to/spine-cpp/spine-cpp/src/spine/Animation.cpp');
+    console.error('  ./compile-cpp.js --type AnimationState.TrackEntry');
+    console.error('  ./compile-cpp.js --changed --compiler clang++ --json');
     process.exit(1);
 }
 
-const cppFile = process.argv[2];
-const spineRuntimesDir = '/Users/badlogic/workspaces/spine-runtimes';
-const spineCppInclude = path.join(spineRuntimesDir, 'spine-cpp/include');
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+    type: null,
+    changed: false,
+    compiler: process.env.CXX || 'g++',
+    std: 'c++11',
+    jobs: os.cpus().length,
+    json: false
+};
+const files = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--changed') options.changed = true;
+    else if (arg === '--json') options.json = true;
+    else if (['--type', '--compiler', '--std', '--jobs'].includes(arg)) {
+        if (i + 1 >= args.length) usage();
+        options[arg.substring(2)] = args[++i];
+    } else if (arg.startsWith('--')) {
+        console.error(`Error: Unknown option '${arg}'`);
+        usage();
+    } else {
+        files.push(path.resolve(arg));
+    }
+}
+options.jobs = Math.max(1, parseInt(options.jobs, 10) || 1);
+if ([files.length > 0, options.type !== null, options.changed].filter(Boolean).length !== 1) {
+    usage();
+}
 
-try {
-    // Compile command with include paths
-    const cmd = `g++ -std=c++11 -I"${spineCppInclude}" -c "${cppFile}" -o /tmp/test.o`;
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
 
-    console.log(`Compiling: ${cppFile}`);
-    execSync(cmd, { stdio: 'inherit' });
-    console.log('Compilation successful!');
+let plan;
+try {
+    plan = loadPlan();
 } catch (error) {
-    console.error('Compilation failed');
-    process.exit(1);
-}
\ No newline at end of file
+    fail(error.message);
+}
+const { targetRuntime, targetRuntimePath } = plan.metadata;
+if (targetRuntime !== 'spine-cpp') {
+    fail(`porting-plan.json targets ${targetRuntime}, compile-cpp.js only supports spine-cpp`);
+}
+const includeDir = path.join(targetRuntimePath, 'include');
+
+// The .cpp files in a type's candidate files
+function typeSources(typeName) {
+    try {
+        return typeCandidateFiles(plan, typeName).filter(file => file.endsWith('.cpp'));
+    } catch (error) {
+        fail(error.message);
+    }
+}
+
+// The .cpp files changed in the target working tree, including untracked ones.
+// A changed header pulls in the source file of the same name.
+function changedSources() {
+    let changed;
+    try {
+        changed = changedFiles(targetRuntimePath);
+    } catch (error) {
+        fail(`Could not list the changed files of ${targetRuntimePath}, is it a git working tree?`);
+    }
+    const sources = new Set();
+    for (const file of changed) {
+        if (file.endsWith('.cpp')) {
+            sources.add(file);
+        } else if (file.endsWith('.h')) {
+            const source = path.join(targetRuntimePath, 'src', path.relative(includeDir, file)).replace(/\.h$/, '.cpp');
+            if (fs.existsSync(source)) sources.add(source);
+        }
+    }
+    return [...sources].sort();
+}
+
+async function main() {
+    const sources = options.type ? typeSources(options.type) : (options.changed ? changedSources() : files);
+    if (sources.length === 0) {
+        if (!options.json) console.log('No .cpp files to compile');
+        else console.log(JSON.stringify({ checker: 'cpp', success: true, files: [], diagnostics: [] }, null, 2));
+        return 0;
+    }
+
+    // Each compile writes its object file to its own slot in a temporary directory
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compile-cpp-'));
+    try {
+        const compiled = await runParallel(sources.map((file, index) => ({ file, index })), options.jobs, async ({ file, index }) => {
+            const compilerArgs = [
+                `-std=${options.std}`,
+                `-I${includeDir}`,
+                '-fdiagnostics-color=never',
+                '-c', file,
+                '-o', path.join(outputDir, `${index}.o`)
+            ];
+            if (!options.json) console.error(`Compiling: ${file}`);
+            const { code, output } = await run(options.compiler, compilerArgs);
+            const diagnostics = parseGccDiagnostics(output);
+            const result = { file, success: code === 0, diagnostics };
+            if (code !== 0 && diagnostics.length === 0) result.output = output;
+            return result;
+        });
+
+        const result = {
+            checker: 'cpp',
+            compiler: options.compiler,
+            std: options.std,
+            success: compiled.every(file => file.success),
+            files: compiled,
+            diagnostics: compiled.flatMap(file => file.diagnostics)
+        };
+        return reportResult(result, options.json);
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+}
+
+main().then(code => process.exit(code)).catch(error => fail(error.message));
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { PLAN_FILE, loadPlan } = require('./lib/plan');
+const { getMembers } = require('./lib/members');
+const { LANGUAGE_RULES, lowerFirst } = require('./lib/language-rules');
+const { TARGET_TYPE_KINDS } = require('./lib/target-types');
+const { stripGenerics } = require('./lib/java-types');
+const { declaration } = require('./lib/outline');
+
+function usage() {
+    console.error('Usage: ./generate-conventions.js [options]');
+    console.error('Example: ./generate-conventions.js');
+    console.error('         ./generate-conventions.js --target spine-ts.json --output -');
+    console.error('\nComputes the coding conventions of the target runtime from its LSP data and sources:');
+    console.error('casing, member prefixes, type declarations, header/source splitting, getters and setters,');
+    console.error('doc comments and collection types, each with examples. Writes <targetRuntime>-conventions.md.');
+    console.error('\nOptions:');
+    console.error('  --target <file>      Target LSP data (default: <targetRuntime>.json from porting-plan.json)');
+    console.error('  --language <lang>    Target language: cpp, typescript, haxe, csharp (default: from the LSP data)');
+    console.error('  -o, --output <file>  Output file, - for stdout (default: <target>-conventions.md)');
+    console.error('  --examples <n>       Examples per rule (default: 3)');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = { target: null, language: null, output: null, examples: 3 };
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--target' || arg === '--language') {
+        if (i + 1 >= args.length) usage();
+        options[arg.substring(2)] = args[++i];
+    } else if (arg === '-o' || arg === '--output') {
+        if (i + 1 >= args.length) usage();
+        options.output = args[++i];
+    } else if (arg === '--examples') {
+        const value = args[++i];
+        if (value === undefined || !/^\d+$/.test(value) || value === '0') {
+            console.error(`Error: Invalid example count '${value}'`);
+            usage();
+        }
+        options.examples = parseInt(value, 10);
+    } else {
+        console.error(`Error: Unknown argument '${arg}'`);
+        usage();
+    }
+}
+
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+const plan = fs.existsSync(PLAN_FILE) ? loadPlan() : null;
+if (!options.target && !plan) fail(`No ${PLAN_FILE}, pass the target LSP data with --target`);
+const targetFile = options.target || `${plan.metadata.targetRuntime}.json`;
+if (!fs.existsSync(targetFile)) fail(`${targetFile} not found`);
+const targetName = path.basename(targetFile, '.json');
+const outputFile = options.output || `${targetName}-conventions.md`;
+
+const targetLspData = JSON.parse(fs.readFileSync(targetFile, 'utf8'));
+const language = options.language || targetLspData.language || (plan && plan.metadata.targetRuntimeLanguage);
+const rules = LANGUAGE_RULES[language];
+if (!rules) fail(`No naming rules for language '${language}', supported: ${Object.keys(LANGUAGE_RULES).join(', ')}`);
+
+const sourceCache = new Map();
+function readLines(file) {
+    if (!sourceCache.has(file)) {
+        try {
+            sourceCache.set(file, fs.readFileSync(file, 'utf8').split('\n'));
+        } catch (error) {
+            sourceCache.set(file, []);
+        }
+    }
+    return sourceCache.get(file);
+}
+
+// Collect the types with their members, skipping forward declarations. Sorted by
+// file and line, so examples and the whole document are stable between runs.
+const types = [];
+function collect(symbol, parents) {
+    const isType = TARGET_TYPE_KINDS.includes(symbol.kind);
+    if (isType && (symbol.children || []).length > 0) {
+        const lines = readLines(symbol.file);
+        const type = { symbol, name: stripGenerics(symbol.name), nested: parents.some(parent => parent.isType) };
+        type.members = getMembers(symbol).filter(member => !rules.ignore(member))
+            .map(member => ({ ...member, owner: type, visible: rules.isVisible(symbol, member, lines) }));
+        types.push(type);
+    }
+    for (const child of symbol.children || []) {
+        collect(child, [...parents, { isType }]);
+    }
+}
+targetLspData.symbols.forEach(symbol => collect(symbol, []));
+if (types.length === 0) fail(`No types found in ${targetFile}`);
+
+// Paths are shown relative to the directory containing all declaration and definition files
+const files = [...new Set(types.map(type => type.symbol.file))];
+const allFiles = files.concat(types.flatMap(type => type.members)
+    .filter(member => member.symbol.definition && member.symbol.definition.file)
+    .map(member => member.symbol.definition.file));
+let baseDir = path.dirname(files[0]);
+while (!allFiles.every(file => file.startsWith(baseDir + path.sep)) && path.dirname(baseDir) !== baseDir) {
+    baseDir = path.dirname(baseDir);
+}
+const relative = file => path.relative(baseDir, file);
+types.sort((a, b) => relative(a.symbol.file).localeCompare(relative(b.symbol.file)) ||
+    a.symbol.range.start.line - b.symbol.range.start.line);
+
+const members = types.flatMap(type => type.members);
+const enums = types.filter(type => type.symbol.kind === 'enum');
+const methods = members.filter(member => member.kind === 'method');
+const fields = members.filter(member => member.kind === 'field');
+const hasSources = files.some(file => readLines(file).length > 0);
+
+// Formatting helpers
+const out = [];
+const code = text => `\`${text.replace(/`/g, "'")}\``;
+const ratio = (count, total) => `${count} of ${total} (${total > 0 ? Math.round(100 * count / total) : 0}%)`;
+const where = symbol => `${relative(symbol.file)}:${(symbol.selectionRange || symbol.range).start.line}`;
+const qualified = member => `${member.owner.name}.${member.name}`;
+const examples = (list, format) => list.slice(0, options.examples).map(format).join(', ');
+// The declaration line of a type or member, its signature if the source isn't
+// available, e.g. a stale LSP dump pointing at a deleted or shortened file
+const sourceLine = item => {
+    const lines = readLines(item.symbol.file);
+    const index = (item.symbol.selectionRange || item.symbol.range).start.line - 1;
+    return index < lines.length && lines[index].trim() ? lines[index].trim() : (item.signature || item.name);
+};
+
+function table(headers, rows) {
+    out.push(`| ${headers.join(' | ')} |`);
+    out.push(`|${headers.map(() => '---').join('|')}|`);
+    rows.forEach(row => out.push(`| ${row.join(' | ')} |`));
+    out.push('');
+}
+
+// Counts items by key, most frequent first, ties by key
+function countBy(items, key) {
+    const groups = new Map();
+    for (const item of items) {
+        const value = key(item);
+        if (value === null) continue;
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(item);
+    }
+    return [...groups.entries()].map(([value, items]) => ({ value, items }))
+        .sort((a, b) => b.items.length - a.items.length || String(a.value).localeCompare(String(b.value)));
+}
+
+// A rule line: the most common value, how often it applies, examples, and the exceptions
+function rule(label, total, groups, describe, format) {
+    if (total === 0 || groups.length === 0) return;
+    const [top, ...rest] = groups;
+    out.push(`- ${label}: ${describe(top.value)}, ${ratio(top.items.length, total)}, e.g. ${examples(top.items, format)}`);
+    const exceptions = rest.flatMap(group => group.items);
+    if (exceptions.length > 0) {
+        out.push(`  - Exceptions: ${examples(exceptions, format)}${exceptions.length > options.examples ? ` and ${exceptions.length - options.examples} more` : ''}`);
+    }
+}
+
+// Naming
+const PREFIX = /^(m_|_+|#|\$|m(?=[A-Z]))/;
+const prefixOf = name => (name.match(PREFIX) || [''])[0];
+const withoutPrefix = name => name.substring(prefixOf(name).length) || name;
+// spine-cpp style enum constants repeat the enum name, e.g. `MixBlend_Setup`
+const enumPrefixed = (member, type) => member.name.startsWith(`${type.name}_`) && member.name.length > type.name.length + 1;
+const constantName = member => enumPrefixed(member, member.owner) ? member.name.substring(member.owner.name.length + 1) : member.name;
+
+const CASINGS = ['camelCase', 'PascalCase', 'snake_case', 'UPPER_CASE', 'other'];
+function casing(name) {
+    if (name.length > 1 && /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)*$/.test(name)) return 'UPPER_CASE';
+    if (/^[a-z][a-z0-9]*(_[a-z0-9]+)+$/.test(name)) return 'snake_case';
+    if (/^[a-z][a-zA-Z0-9]*$/.test(name)) return 'camelCase';
+    if (/^[A-Z][a-zA-Z0-9]*$/.test(name)) return 'PascalCase';
+    return 'other';
+}
+
+function namingSection() {
+    out.push('## Naming', '');
+    out.push('Casing is determined after removing member prefixes and, for enum constants, the enum name prefix.', '');
+    const groups = [
+        { label: 'Types', items: types.filter(type => type.symbol.kind !== 'enum'), name: type => type.name, format: type => code(type.name) },
+        { label: 'Enums', items: enums, name: type => type.name, format: type => code(type.name) },
+        { label: 'Methods', items: methods, name: member => withoutPrefix(member.name), format: member => code(qualified(member)) },
+        { label: 'Fields', items: fields, name: member => withoutPrefix(member.name), format: member => code(qualified(member)) },
+        { label: 'Enum constants', items: members.filter(member => member.kind === 'enumConstant'), name: constantName, format: member => code(qualified(member)) }
+    ].filter(group => group.items.length > 0);
+    table(['Symbols', 'Count', ...CASINGS], groups.map(group => {
+        const counts = countBy(group.items, item => casing(group.name(item)));
+        return [group.label, group.items.length, ...CASINGS.map(value => {
+            const match = counts.find(count => count.value === value);
+            return match ? match.items.length : 0;
+        })];
+    }));
+    for (const group of groups) {
+        rule(group.label, group.items.length, countBy(group.items, item => casing(group.name(item))), value => value, group.format);
+    }
+    out.push('');
+
+    out.push('### Member Prefixes', '');
+    const memberGroups = [
+        { label: 'Public fields', items: fields.filter(member => member.visible) },
+        { label: 'Non-public fields', items: fields.filter(member => !member.visible) },
+        { label: 'Public methods', items: methods.filter(member => member.visible) },
+        { label: 'Non-public methods', items: methods.filter(member => !member.visible) }
+    ].filter(group => group.items.length > 0);
+    const prefixes = [...new Set(members.map(member => prefixOf(member.name)))].sort();
+    const prefixLabel = prefix => prefix ? code(prefix) : 'none';
+    table(['Members', 'Count', ...prefixes.map(prefixLabel)], memberGroups.map(group =>
+        [group.label, group.items.length, ...prefixes.map(prefix => group.items.filter(member => prefixOf(member.name) === prefix).length)]));
+    for (const group of memberGroups) {
+        rule(group.label, group.items.length, countBy(group.items, member => prefixOf(member.name)),
+            prefix => prefix ? `prefixed with ${code(prefix)}` : 'no prefix', member => code(qualified(member)));
+    }
+    if (enums.length > 0) {
+        const prefixed = enums.filter(type => {
+            const constants = type.members.filter(member => member.kind === 'enumConstant');
+            return constants.length > 0 && constants.every(member => enumPrefixed(member, type));
+        });
+        out.push(`- Enums whose constants are prefixed with the enum name: ${ratio(prefixed.length, enums.length)}` +
+            (prefixed.length > 0 ? `, e.g. ${examples(prefixed, type => code(type.members[0].name))}` : ''));
+    }
+    out.push('');
+}
+
+function declarationsSection() {
+    out.push('## Type Declarations', '');
+    if (!hasSources) {
+        out.push('Sources not available, declarations could not be read.', '');
+        return;
+    }
+    out.push('Declarations as written in the source, by kind:', '');
+    for (const { value, items } of countBy(types, type => type.symbol.kind)) {
+        const nested = items.filter(type => type.nested).length;
+        out.push(`- ${value}: ${items.length}${nested > 0 ? `, ${nested} nested in another type` : ''}`);
+        for (const type of items.slice(0, options.examples)) {
+            const text = declaration(readLines(type.symbol.file), type.symbol);
+            if (text) out.push(`  - ${code(text)} (${where(type.symbol)})`);
+        }
+    }
+    out.push('');
+}
+
+// Header/source splitting and file naming
+function filesSection() {
+    out.push('## File Organization', '');
+    const extension = file => path.extname(file) || '(none)';
+    out.push(`- Types are declared in ${countBy(files, extension).map(({ value, items }) => `${code(value)} (${items.length} files)`).join(', ')}`);
+
+    const topLevel = types.filter(type => !type.nested);
+    const byFile = countBy(topLevel, type => type.symbol.file);
+    const single = byFile.filter(group => group.items.length === 1);
+    out.push(`- Files declaring a single top-level type: ${ratio(single.length, byFile.length)}`);
+    const stem = file => path.basename(file, path.extname(file));
+    const named = single.filter(group => stem(group.value) === group.items[0].name);
+    out.push(`- Of those, named after the type: ${ratio(named.length, single.length)}` +
+        (named.length > 0 ? `, e.g. ${examples(named, group => code(relative(group.value)))}` : ''));
+    const multiple = byFile.filter(group => group.items.length > 1);
+    if (multiple.length > 0) {
+        out.push(`  - Files with several types: ${examples(multiple, group => `${code(relative(group.value))} (${group.items.map(type => type.name).join(', ')})`)}`);
+    }
+
+    // Methods and constructors whose definition the language server found in another file
+    const callables = members.filter(member => member.kind === 'method' || member.kind === 'constructor');
+    const defined = callables.filter(member => member.symbol.definition && member.symbol.definition.file);
+    const outOfLine = defined.filter(member => member.symbol.definition.file !== member.symbol.file);
+    if (outOfLine.length === 0) {
+        out.push('- Methods are defined where they are declared, there is no header/source split', '');
+        return;
+    }
+    out.push(`- Methods and constructors defined in a separate file: ${ratio(outOfLine.length, defined.length)}`);
+    const inline = defined.filter(member => member.symbol.definition.file === member.symbol.file);
+    if (inline.length > 0) {
+        out.push(`  - Defined in the declaring file instead: ${examples(inline, member => `${code(qualified(member))} (${where(member.symbol)})`)}` +
+            (inline.length > options.examples ? ` and ${inline.length - options.examples} more` : ''));
+    }
+    const pairs = countBy(outOfLine, member => `${path.dirname(relative(member.symbol.file))}/*${extension(member.symbol.file)} -> ` +
+        `${path.dirname(relative(member.symbol.definition.file))}/*${extension(member.symbol.definition.file)}`);
+    const sameStem = outOfLine.filter(member => stem(member.symbol.definition.file) === stem(member.symbol.file));
+    out.push(`- Definition file named like the declaring file: ${ratio(sameStem.length, outOfLine.length)}`, '');
+    table(['Declarations', 'Definitions', 'Members', 'Example'], pairs.map(({ value, items }) => {
+        const [from, to] = value.split(' -> ');
+        return [code(from), code(to), items.length,
+            `${code(relative(items[0].symbol.file))} -> ${code(relative(items[0].symbol.definition.file))}`];
+    }));
+}
+
+// Accessor naming styles, checked in order
+const ACCESSORS = [
+    { style: 'getX', role: 'getter', pattern: /^get([A-Z]\w*)$/, property: match => lowerFirst(match[1]) },
+    { style: 'isX', role: 'getter', pattern: /^is([A-Z]\w*)$/, property: match => lowerFirst(match[1]) },
+    { style: 'setX', role: 'setter', pattern: /^set([A-Z]\w*)$/, property: match => lowerFirst(match[1]) },
+    { style: 'get_x', role: 'getter', pattern: /^get_(\w+)$/, property: match => match[1] },
+    { style: 'set_x', role: 'setter', pattern: /^set_(\w+)$/, property: match => match[1] },
+    { style: 'GetX', role: 'getter', pattern: /^Get([A-Z]\w*)$/, property: match => lowerFirst(match[1]) },
+    { style: 'SetX', role: 'setter', pattern: /^Set([A-Z]\w*)$/, property: match => lowerFirst(match[1]) }
+];
+
+function accessorOf(member) {
+    for (const accessor of ACCESSORS) {
+        const match = member.name.match(accessor.pattern);
+        if (match) return { ...accessor, property: accessor.property(match) };
+    }
+    return null;
+}
+
+// The name of a setter's single parameter, read from its declaration
+function parameterName(member) {
+    const line = sourceLine(member);
+    const match = line.match(new RegExp(`\\b${member.name.replace(/\$/g, '\\$')}\\s*\\(([^)]*)\\)`));
+    if (!match || match[1].includes(',')) return null;
+    const param = match[1].replace(/=.*$/, '').trim();
+    // `value: number` in TypeScript and Haxe, `const String &value` in C++ and C#
+    if (param.includes(':')) return param.split(':')[0].replace(/\?$/, '').trim().split(/\s+/).pop() || null;
+    const words = param.match(/\w+/g);
+    return words && words.length > 1 ? words[words.length - 1] : null;
+}
+
+function accessorsSection() {
+    out.push('## Getters and Setters', '');
+    const accessors = methods.map(member => ({ member, accessor: accessorOf(member) })).filter(entry => entry.accessor);
+    if (accessors.length === 0) {
+        out.push('No getter or setter methods, fields are accessed directly.', '');
+        return;
+    }
+    table(['Style', 'Role', 'Methods', 'Examples'], countBy(accessors, entry => entry.accessor.style).map(({ value, items }) =>
+        [code(value), items[0].accessor.role, items.length, examples(items, entry => code(qualified(entry.member)))]));
+
+    // Fields covered by accessors, matched on the name without prefix
+    const find = (field, role) => accessors.find(entry => entry.member.owner === field.owner &&
+        entry.accessor.role === role && entry.accessor.property === withoutPrefix(field.name));
+    const hidden = fields.filter(field => !field.visible);
+    if (hidden.length > 0) {
+        const withGetter = hidden.filter(field => find(field, 'getter'));
+        const withSetter = hidden.filter(field => find(field, 'setter'));
+        out.push(`- Non-public fields with a getter: ${ratio(withGetter.length, hidden.length)}, with a setter: ${ratio(withSetter.length, hidden.length)}`);
+    }
+    const visible = fields.filter(field => field.visible);
+    if (visible.length > 0) {
+        out.push(`- Public fields: ${ratio(visible.length, fields.length)}, e.g. ${examples(visible, field => code(qualified(field)))}`);
+    }
+    const booleans = fields.filter(field => /^(bool|boolean|Bool)$/.test(field.type) && find(field, 'getter'));
+    if (booleans.length > 0) {
+        rule('Boolean getters', booleans.length, countBy(booleans, field => find(field, 'getter').accessor.style),
+            style => code(style), field => code(qualified(find(field, 'getter').member)));
+    }
+    const getters = accessors.filter(entry => entry.accessor.role === 'getter');
+    const returns = countBy(getters, entry => /&$/.test(entry.member.type) ? 'a reference' : /\*$/.test(entry.member.type) ? 'a pointer' : 'a value');
+    if (returns.length > 1) {
+        out.push(`- Getters return ${returns.map(({ value, items }) => `${value} ${ratio(items.length, getters.length)}, e.g. ${code(sourceLine(items[0].member))}`).join('; ')}`);
+    }
+    if (hasSources) {
+        const setters = accessors.filter(entry => entry.accessor.role === 'setter');
+        rule('Setter parameter names', setters.length, countBy(setters, entry => parameterName(entry.member)),
+            name => code(name), entry => code(sourceLine(entry.member)));
+    }
+
+    const paired = fields.filter(field => find(field, 'getter') && find(field, 'setter'));
+    if (paired.length > 0) {
+        out.push('', 'Examples:', '');
+        for (const field of paired.slice(0, options.examples)) {
+            out.push(`- ${code(sourceLine(field))} in ${field.owner.name}: ${code(sourceLine(find(field, 'getter').member))}, ${code(sourceLine(find(field, 'setter').member))}`);
+        }
+    }
+    out.push('');
+}
+
+// Returns the comment lines above a declaration's name, skipping annotations and
+// decorators, or null. Starting at the selection range also finds comments that
+// the language server includes in the symbol's range.
+function docComment(symbol) {
+    const lines = readLines(symbol.file);
+    const start = (symbol.selectionRange || symbol.range).start.line;
+    // The file is missing or shorter than the LSP data says
+    if (start > lines.length) return null;
+    const isComment = line => /^(\/\/|\/\*|\*)/.test(line.trim());
+    let first = start - 1;
+    while (first > 0 && /^(\/\/|\/\*|\*|@)/.test(lines[first - 1].trim())) first--;
+    const comment = lines.slice(first, start - 1).filter(isComment).map(line => line.trim());
+    return comment.length > 0 ? comment : null;
+}
+
+const DOC_STYLES = [
+    { style: '/// <summary>', pattern: /^\/\/\/\s*</ },
+    { style: '///', pattern: /^\/\/\// },
+    { style: '/** */', pattern: /^\/\*\*/ },
+    { style: '/*! */', pattern: /^\/\*!/ },
+    { style: '/* */', pattern: /^\/\*/ },
+    { style: '//', pattern: /^\/\// }
+];
+
+function docStyle(comment) {
+    return DOC_STYLES.find(style => style.pattern.test(comment[0])).style;
+}
+
+function docsSection() {
+    out.push('## Documentation Comments', '');
+    if (!hasSources) {
+        out.push('Sources not available, doc comments could not be read.', '');
+        return;
+    }
+    const documented = list => list.map(item => ({ item, comment: docComment(item.symbol) })).filter(entry => entry.comment);
+    const publicMembers = members.filter(member => member.visible && member.kind !== 'enumConstant');
+    const docTypes = documented(types);
+    const docMembers = documented(publicMembers);
+    out.push(`- Documented types: ${ratio(docTypes.length, types.length)}`);
+    out.push(`- Documented public members: ${ratio(docMembers.length, publicMembers.length)}`);
+    const all = [...docTypes, ...docMembers];
+    if (all.length === 0) {
+        out.push('');
+        return;
+    }
+    const tags = countBy(all.flatMap(entry => entry.comment.join(' ').match(/[@\\](param|returns?|see|link|deprecated|throws|brief|note)\b|<(summary|param|returns|see|remarks)\b/g) || []),
+        tag => tag.startsWith('<') ? `${tag}>` : tag);
+    if (tags.length > 0) {
+        out.push(`- Tags: ${tags.map(({ value, items }) => `${code(value)} ${items.length}`).join(', ')}`);
+    }
+    out.push('');
+    const styles = countBy(all, entry => docStyle(entry.comment));
+    table(['Style', 'Comments', 'Share'], styles.map(({ value, items }) => [code(value), items.length, `${Math.round(100 * items.length / all.length)}%`]));
+    for (const { value, items } of styles) {
+        out.push(`${code(value)}, e.g. ${items[0].item.name} (${where(items[0].item.symbol)}):`, '');
+        out.push('```');
+        const comment = items[0].comment;
+        out.push(...comment.slice(0, 6));
+        if (comment.length > 6) out.push('...');
+        out.push(sourceLine(items[0].item));
+        out.push('```', '');
+    }
+}
+
+// Generic types in field types and member signatures, e.g. `Vector<Bone *>`
+function collectionsSection() {
+    out.push('## Collection Types', '');
+    const uses = members.flatMap(member => {
+        const text = [member.type || '', ...(member.params || [])].join(' ');
+        const generics = [...text.matchAll(/([A-Za-z_][\w:.]*)\s*</g)].map(match => match[1]);
+        if (/\[\]/.test(text)) generics.push('T[]');
+        return [...new Set(generics)].map(name => ({ name, member }));
+    });
+    if (uses.length === 0) {
+        out.push('No generic or array types in member signatures.', '');
+        return;
+    }
+    out.push('Generic and array types in field types and method signatures, most used first:', '');
+    table(['Type', 'Members', 'Examples'], countBy(uses, use => use.name).slice(0, 15).map(({ value, items }) =>
+        [code(value), items.length, examples(items, use => `${code(use.member.signature)} in ${use.member.owner.name}`)]));
+}
+
+out.push(`# ${targetName} Conventions`, '');
+out.push(`Generated by \`./generate-conventions.js\` from \`${path.basename(targetFile)}\` (${language}): ` +
+    `${types.length} types, ${members.length} members in ${files.length} files. Regenerate it after updating ` +
+    'the target runtime and diff it with the previous version to see how the conventions changed.', '');
+namingSection();
+declarationsSection();
+filesSection();
+accessorsSection();
+docsSection();
+collectionsSection();
+
+const markdown = out.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+if (outputFile === '-') {
+    process.stdout.write(markdown);
+} else {
+    fs.writeFileSync(outputFile, markdown);
+    console.log(`Wrote ${outputFile}`);
+}
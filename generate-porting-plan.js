@@ -2,9 +2,18 @@
 
 import { execSync, exec } from 'child_process';
 import { promisify } from 'util';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { stripGenerics, collectTypes } from './lib/java-types.js';
+import { computeDependencies, topologicalOrder } from './lib/dependencies.js';
+import { loadRuntimeConfig } from './lib/runtimes.js';
+import { getMembers } from './lib/members.js';
+import { PLAN_FILE, loadPlan, savePlan, planItems, memberTasksState } from './lib/plan.js';
+import { HISTORY_FILE, recordTransitions } from './lib/history.js';
+import { CACHE_DIR, treeState, cacheFile, restoreCached, storeCached, pruneCache } from './lib/lsp-cache.js';
+import { run, runParallel } from './lib/diagnostics.js';
 
 // ANSI color codes
 const colors = {
@@ -33,11 +42,80 @@ const c = {
 const __filename = fileURLToPath(import.meta.url);
 
 // Parse command line arguments
-const args = process.argv.slice(2);
+const args = [];
+let configFile;
+let mergeMode = false;
+let useCache = true;
+let lspJobs = 3;
+let pruneMaxAge = null;
+let keepUnchanged = false;
+let splitMembers = null;
+// Offline inputs replacing lsp-cli runs and git diff
+const inputFiles = { oldLsp: null, lsp: null, targetLsp: null, diff: null };
+const inputFlags = { '--old-lsp': 'oldLsp', '--lsp': 'lsp', '--target-lsp': 'targetLsp', '--diff': 'diff' };
+for (let i = 2; i < process.argv.length; i++) {
+    if (process.argv[i] === '--config' && i + 1 < process.argv.length) {
+        configFile = process.argv[++i];
+    } else if (process.argv[i] === '--merge') {
+        mergeMode = true;
+    } else if (inputFlags[process.argv[i]] && i + 1 < process.argv.length) {
+        inputFiles[inputFlags[process.argv[i]]] = path.resolve(process.argv[++i]);
+    } else if (process.argv[i] === '--keep-unchanged') {
+        keepUnchanged = true;
+    } else if (process.argv[i] === '--split-members' && /^\d+$/.test(process.argv[i + 1] || '')) {
+        splitMembers = parseInt(process.argv[++i], 10);
+    } else if (process.argv[i] === '--no-cache') {
+        useCache = false;
+    } else if (process.argv[i] === '--jobs' && i + 1 < process.argv.length) {
+        lspJobs = Math.max(1, parseInt(process.argv[++i], 10) || 1);
+    } else if (process.argv[i] === '--prune-cache') {
+        // Optionally followed by the maximum age in days
+        pruneMaxAge = /^\d+$/.test(process.argv[i + 1] || '') ? parseInt(process.argv[++i], 10) : 30;
+    } else {
+        args.push(process.argv[i]);
+    }
+}
+
+// Load the runtime registry
+let runtimeConfig;
+try {
+    runtimeConfig = loadRuntimeConfig(configFile);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+const supportedRuntimes = Object.keys(runtimeConfig.runtimes);
+const reference = runtimeConfig.reference;
+
+// Prune the LSP cache and exit
+if (pruneMaxAge !== null) {
+    const result = pruneCache(pruneMaxAge);
+    const freed = (result.freedBytes / 1024 / 1024).toFixed(2);
+    console.log(`Removed ${result.removed.length} LSP cache entries not used in ${pruneMaxAge} days (${freed} MB), kept ${result.kept}`);
+    process.exit(0);
+}
+
 if (args.length < 4) {
-    console.error('Usage: node generate-porting-plan.js <from-commit> <to-commit> <spine-runtimes-dir> <target-runtime>');
+    console.error('Usage: node generate-porting-plan.js [options] <from-commit> <to-commit> <spine-runtimes-dir> <target-runtime>');
     console.error('Example: node generate-porting-plan.js 4.2 4.3-beta /path/to/spine-runtimes spine-cpp');
-    console.error('\nSupported target runtimes: spine-cpp, spine-ts, spine-haxe');
+    console.error('       node generate-porting-plan.js --prune-cache [<days>]');
+    console.error('\nOptions:');
+    console.error('  --merge              Keep the progress of an existing porting-plan.json for types');
+    console.error('                       whose Java source did not change since it was generated');
+    console.error('  --keep-unchanged     Leave types whose source did not change pending instead of');
+    console.error('                       marking them done, for full parity audits');
+    console.error('  --split-members <n>  Split modified types with more than n lines of their own into');
+    console.error('                       tasks for the members that changed, each with its own state');
+    console.error(`  --no-cache           Always run lsp-cli, don't read or write ${CACHE_DIR}/`);
+    console.error('  --jobs <n>           Number of lsp-cli runs in parallel (default: 3)');
+    console.error(`  --prune-cache [days] Remove ${CACHE_DIR}/ entries not used in the given days (default: 30)`);
+    console.error('\nOffline inputs, each replaces an lsp-cli run or the git diff:');
+    console.error('  --old-lsp <file>     spine-libgdx-old.json of an earlier run, skips the worktree');
+    console.error('  --lsp <file>         spine-libgdx.json of an earlier run');
+    console.error('  --target-lsp <file>  <target-runtime>.json of an earlier run');
+    console.error('  --diff <file>        Output of git diff --name-status -M -C <from>..<to>');
+    console.error(`\nSupported target runtimes: ${supportedRuntimes.join(', ')}`);
+    console.error(`Runtimes are configured in ${runtimeConfig.file}, use --config to load another file`);
     process.exit(1);
 }
 
@@ -47,50 +125,157 @@ const spineRuntimesDir = args[2];
 const targetRuntime = args[3];
 
 // Validate target runtime
-const supportedRuntimes = ['spine-cpp', 'spine-ts', 'spine-haxe'];
 if (!supportedRuntimes.includes(targetRuntime)) {
     console.error(`Error: Unsupported target runtime '${targetRuntime}'`);
     console.error(`Supported runtimes: ${supportedRuntimes.join(', ')}`);
     process.exit(1);
 }
 
-// Ensure we're in a git repository
+// Ensure we're in a git repository, unless all git and lsp-cli work is replaced
+// by offline inputs
+const offline = Object.values(inputFiles).every(file => file);
+for (const file of Object.values(inputFiles)) {
+    if (file && !fs.existsSync(file)) {
+        console.error(`Error: ${file} not found`);
+        process.exit(1);
+    }
+}
 try {
     execSync('git rev-parse --git-dir', { cwd: spineRuntimesDir, stdio: 'ignore' });
 } catch (error) {
-    console.error(`Error: ${spineRuntimesDir} is not a git repository`);
-    process.exit(1);
+    if (!offline) {
+        console.error(`Error: ${spineRuntimesDir} is not a git repository`);
+        console.error('Pass --old-lsp, --lsp, --target-lsp and --diff to generate the plan without one');
+        process.exit(1);
+    }
 }
 
-// Helper function to run lsp-cli and generate JSON for a runtime
+// Helper function to run lsp-cli and generate JSON for a runtime, converted to
+// 1-based indexing. Runs may happen in parallel, so lsp-cli's output is only
+// shown if it fails. Returns whether the JSON was generated.
 async function generateLspJson(runtimePath, language, outputFile) {
-    const runtimeName = path.basename(path.dirname(runtimePath));
-    console.log(`\n${c.blue('→')} Processing ${c.bold(runtimeName)}`);
-    console.log(`   ${c.gray('Language:')} ${language}`);
-    console.log(`   ${c.gray('Path:')} ${c.dim(runtimePath)}`);
+    const startTime = Date.now();
+    const { code, output } = await run('lsp-cli', [runtimePath, language, outputFile]);
+    if (code !== 0 || !fs.existsSync(outputFile)) {
+        console.error(`   ${c.red('✗')} lsp-cli failed for ${c.bold(path.basename(outputFile))}:`);
+        console.error(c.dim(output.trim().split('\n').map(line => `     ${line}`).join('\n')));
+        return false;
+    }
 
     try {
-        const startTime = Date.now();
+        const lspData = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+        convertTo1Based(lspData);
+        fs.writeFileSync(outputFile, JSON.stringify(lspData, null, 2));
+    } catch (error) {
+        console.error(`   ${c.red('✗')} Could not convert ${path.basename(outputFile)}: ${error.message}`);
+        return false;
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    const fileSize = (fs.statSync(outputFile).size / 1024 / 1024).toFixed(2);
+    console.log(`   ${c.green('✓')} Generated ${c.cyan(path.basename(outputFile))} ${c.gray(`(${fileSize} MB in ${duration}s)`)}`);
+    return true;
+}
 
-        // Just run the command and let it control the terminal directly
-        console.log(); // Add spacing before lsp-cli output
+// Helper function to load a converted LSP JSON file, null if missing or unreadable
+function loadLspJson(file) {
+    if (!fs.existsSync(file)) {
+        console.log(`   ${c.yellow('⚠')} ${path.basename(file)} not found`);
+        return null;
+    }
+    try {
+        const lspData = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`   ${c.green('✓')} Loaded ${c.cyan(lspData.symbols.length)} symbols`);
+        return lspData;
+    } catch (error) {
+        console.error(`   ${c.yellow('⚠')} Warning: Could not parse ${path.basename(file)}: ${error.message}`);
+        return null;
+    }
+}
 
+// Helper function to generate the LSP JSON files of all runs, copying offline
+// inputs, restoring unchanged runtimes from the cache and running lsp-cli for
+// the others in parallel. The old reference runtime is indexed in a temporary
+// worktree.
+async function generateAllLspJson(lspRuns) {
+    console.log(`\n${c.bold('Generating LSP data...')}`);
+    console.log(c.gray('─'.repeat(60)));
+
+    const pending = [];
+    for (const lspRun of lspRuns) {
+        console.log(`\n${c.blue('→')} ${c.bold(lspRun.label)} ${c.gray(`(${lspRun.language})`)}`);
+        if (lspRun.inputFile) {
+            // Offline input, already converted to 1-based indexing by an earlier run
+            if (lspRun.inputFile !== lspRun.outputFile) fs.copyFileSync(lspRun.inputFile, lspRun.outputFile);
+            console.log(`   ${c.green('✓')} Using ${c.cyan(lspRun.inputFile)}`);
+            continue;
+        }
+        let state = null;
         try {
-            execSync(`lsp-cli "${runtimePath}" ${language} "${outputFile}"`, {
-                stdio: 'inherit'
-            });
+            state = treeState(spineRuntimesDir, lspRun.sourceRoot, lspRun.commit);
         } catch (error) {
-            // Error already displayed by lsp-cli
-            throw error;
+            console.log(`   ${c.yellow('⚠')} Could not resolve the git state, not caching: ${error.message}`);
+        }
+        // The old commit is indexed in a temporary worktree, key it by the checkout it belongs to
+        lspRun.cacheFile = state && useCache
+            ? cacheFile(lspRun.name, state, { checkout: spineRuntimesDir, sourceRoot: lspRun.sourceRoot, language: lspRun.language })
+            : null;
+        if (lspRun.cacheFile && restoreCached(lspRun.cacheFile, lspRun.outputFile)) {
+            console.log(`   ${c.green('✓')} Restored ${c.cyan(path.basename(lspRun.outputFile))} from cache ${c.dim(lspRun.cacheFile)}`);
+            continue;
+        }
+        if (!lspRun.commit && !fs.existsSync(lspRun.path)) {
+            console.log(`   ${c.red('✗')} Runtime path not found: ${c.dim(lspRun.path)}`);
+            continue;
         }
+        console.log(`   ${c.gray('Indexing:')} ${c.dim(lspRun.commit ? `${lspRun.sourceRoot} at ${lspRun.commit}` : lspRun.path)}`);
+        pending.push(lspRun);
+    }
 
+    // Only check out the old commit if its data isn't cached
+    const worktreePath = path.join('/tmp', `spine-old-${Date.now()}`);
+    const needsWorktree = pending.some(lspRun => lspRun.commit);
+    try {
+        if (needsWorktree) {
+            console.log(`\n${c.blue('→')} Creating worktree at ${c.dim(worktreePath)}`);
+            execSync(`git worktree add "${worktreePath}" "${fromCommit}"`, {
+                cwd: spineRuntimesDir,
+                stdio: 'pipe'
+            });
+            pending.filter(lspRun => lspRun.commit).forEach(lspRun => lspRun.path = path.join(worktreePath, lspRun.sourceRoot));
+        }
 
-        const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-        const fileSize = (fs.statSync(outputFile).size / 1024 / 1024).toFixed(2);
-        console.log(`   ${c.green('✓')} Generated ${c.cyan(path.basename(outputFile))} ${c.gray(`(${fileSize} MB in ${duration}s)`)}`);
-    } catch (error) {
-        console.error(`   ${c.red('✗')} Failed: ${error.message}`);
+        if (pending.length > 0) {
+            console.log(`\n${c.blue('→')} Running lsp-cli for ${pending.length} runtime(s), ${Math.min(lspJobs, pending.length)} at a time...`);
+        }
+        await runParallel(pending, lspJobs, async (lspRun) => {
+            const generated = await generateLspJson(lspRun.path, lspRun.language, lspRun.outputFile);
+            if (generated && lspRun.cacheFile) storeCached(lspRun.cacheFile, lspRun.outputFile);
+        });
+    } finally {
+        if (needsWorktree) {
+            // Clean up worktree
+            console.log(`\n${c.blue('→')} Cleaning up worktree...`);
+            try {
+                execSync(`git worktree remove "${worktreePath}" --force`, {
+                    cwd: spineRuntimesDir,
+                    stdio: 'pipe'
+                });
+                console.log(`   ${c.green('✓')} Worktree removed`);
+            } catch (error) {
+                console.log(`   ${c.yellow('⚠')} Failed to remove worktree: ${error.message}`);
+                // Try manual cleanup
+                try {
+                    execSync(`rm -rf "${worktreePath}"`, { stdio: 'pipe' });
+                    execSync(`git worktree prune`, { cwd: spineRuntimesDir, stdio: 'pipe' });
+                } catch (cleanupError) {
+                    console.log(`   ${c.yellow('⚠')} Manual cleanup also failed`);
+                }
+            }
+        }
     }
+
+    console.log('\n' + c.gray('─'.repeat(60)));
 }
 
 // Helper function to convert LSP data from 0-based to 1-based indexing
@@ -125,27 +310,97 @@ function convertTo1Based(lspData) {
     }
 }
 
-// Helper function to find candidate files for a type in target runtime
-function findCandidateFiles(targetLsp, typeName) {
+// Helper function to read source files, cached as they are read repeatedly
+const sourceCache = new Map();
+function readSourceLines(file) {
+    if (!sourceCache.has(file)) {
+        try {
+            sourceCache.set(file, fs.readFileSync(file, 'utf8').split('\n'));
+        } catch (error) {
+            sourceCache.set(file, []);
+        }
+    }
+    return sourceCache.get(file);
+}
+
+// Helper function to read a file at a commit, cached with the working tree files
+function readSourceLinesAt(commit, relativePath) {
+    const key = `${commit}:${relativePath}`;
+    if (!sourceCache.has(key)) {
+        try {
+            sourceCache.set(key, execSync(`git show "${key}"`, {
+                cwd: spineRuntimesDir,
+                encoding: 'utf8',
+                maxBuffer: 10 * 1024 * 1024,
+                stdio: ['pipe', 'pipe', 'ignore']
+            }).split('\n'));
+        } catch (error) {
+            sourceCache.set(key, []);
+        }
+    }
+    return sourceCache.get(key);
+}
+
+// Helper function to read a Java file at the from-commit. Offline inputs come
+// without a worktree, so the old LSP data's own file is read if it still exists,
+// e.g. the old sources of test/fixtures/porting-plan.
+function readPreviousSourceLines(oldLsp, relativePath) {
+    if (offline && oldLsp) {
+        const symbol = oldLsp.symbols.find(s => s.file.endsWith(`/${relativePath}`));
+        if (symbol && fs.existsSync(symbol.file)) return readSourceLines(symbol.file);
+    }
+    return readSourceLinesAt(fromCommit, relativePath);
+}
+
+// Helper function to check that a source needed to classify and hash types was
+// read. Offline, a missing source is an error instead of leaving the types
+// unclassified, online the type's fields are just left out.
+function requireSource(lines, description) {
+    if (offline && lines.length === 0) {
+        throw new Error(`Could not read ${description}, offline inputs need the Java sources their LSP data points to`);
+    }
+    return lines;
+}
+
+// Helper function to hash a type's or member's source, ignoring trailing whitespace
+function hashLines(lines, startLine, endLine) {
+    const content = lines.slice(startLine - 1, endLine).map(line => line.trimEnd()).join('\n');
+    return crypto.createHash('sha1').update(content).digest('hex').substring(0, 16);
+}
+
+// Plans whose type hashes leave out inner types record this in metadata.contentHashes,
+// earlier plans hashed the whole range of a type
+const CONTENT_HASHES = 'own-lines';
+
+// Helper function to hash a type's own source, without its inner types, so a
+// change to an inner type doesn't reset the enclosing type
+function hashType(lines, type, fileTypes) {
+    return crypto.createHash('sha1').update(ownLines(lines, type, fileTypes).join('\n')).digest('hex').substring(0, 16);
+}
+
+// Helper function to find candidate files for a type in target runtime,
+// following the runtime's candidateFiles rules from the runtime config
+function findCandidateFiles(targetLsp, javaTypeName, targetConfig) {
     if (!targetLsp) return [];
 
+    const rules = targetConfig.candidateFiles;
+    const typeName = rules.typeName(javaTypeName);
     const candidateFiles = new Set();
 
     // Recursive function to search for type in symbols and their children
     function searchSymbol(symbol) {
         // Check if this symbol matches
-        if (symbol.name === typeName &&
-            ['class', 'interface', 'enum'].includes(symbol.kind)) {
+        if (symbol.name === typeName && rules.typeKinds.includes(symbol.kind)) {
             // Add declaration file
             candidateFiles.add(symbol.file);
 
             // For C++, also check if there's a definition file
-            if (symbol.definition && symbol.definition.file) {
+            if (rules.includeDefinitions && symbol.definition && symbol.definition.file) {
                 candidateFiles.add(symbol.definition.file);
             }
 
             // Also check children for methods with definitions
-            if (symbol.children) {
+            if (rules.includeDefinitions && symbol.children) {
                 for (const child of symbol.children) {
                     if (child.definition && child.definition.file) {
                         candidateFiles.add(child.definition.file);
@@ -167,7 +422,8 @@ function findCandidateFiles(targetLsp, typeName) {
         searchSymbol(symbol);
     }
 
-    return Array.from(candidateFiles);
+    return Array.from(candidateFiles)
+        .filter(file => targetConfig.extensions.some(extension => file.endsWith(extension)));
 }
 
 // Helper function to extract types from Java file using LSP data
@@ -175,18 +431,17 @@ function extractTypesFromFile(lspData, filePath) {
     const types = [];
 
     // Helper function to extract inner types recursively
-    function extractInnerTypes(symbol, isInner = false) {
+    function extractInnerTypes(symbol, isInner = false, outerName = null) {
+        // Extract just the type name, removing generic parameters
+        const typeName = stripGenerics(symbol.name);
+        // Qualify inner types by their enclosing types, e.g. AnimationState.TrackEntry
+        const qualifiedName = outerName ? `${outerName}.${typeName}` : typeName;
+
         // Add the current type
         if (['class', 'interface', 'enum'].includes(symbol.kind)) {
-            // Extract just the type name, removing generic parameters
-            let typeName = symbol.name;
-            const genericIndex = typeName.indexOf('<');
-            if (genericIndex !== -1) {
-                typeName = typeName.substring(0, genericIndex);
-            }
-
             types.push({
                 name: typeName,
+                qualifiedName: qualifiedName,
                 kind: symbol.kind,
                 startLine: symbol.range.start.line,  // Already 1-based after conversion
                 endLine: symbol.range.end.line,      // Already 1-based after conversion
@@ -199,7 +454,7 @@ function extractTypesFromFile(lspData, filePath) {
         if (symbol.children) {
             for (const child of symbol.children) {
                 if (['class', 'interface', 'enum'].includes(child.kind)) {
-                    extractInnerTypes(child, true);
+                    extractInnerTypes(child, true, qualifiedName);
                 }
             }
         }
@@ -216,154 +471,501 @@ function extractTypesFromFile(lspData, filePath) {
     return types;
 }
 
-// Main processing
-async function main() {
-    try {
-        console.log(`\n${c.bold('Analyzing changes')} from ${c.cyan(fromCommit)} to ${c.cyan(toCommit)}`);
-        console.log(`${c.gray('Spine runtimes directory:')} ${spineRuntimesDir}`);
-        console.log(`${c.gray('Target runtime:')} ${c.cyan(targetRuntime)}`);
+// Helper function to extract the types of a file in the old LSP data. Its paths
+// point into the temporary worktree the old commit was indexed in, so the file
+// is looked up by its path relative to the spine-runtimes directory.
+function extractOldTypesFromFile(oldLsp, relativePath) {
+    if (!oldLsp) return [];
+    const symbol = oldLsp.symbols.find(s => s.file.endsWith(`/${relativePath}`));
+    return symbol ? extractTypesFromFile(oldLsp, symbol.file) : [];
+}
+
+// Helper function to match the types of a file to the types of its previous
+// version. For renamed files the outer type usually follows the file name, e.g.
+// IkConstraint.java -> IkSolver.java renames IkConstraint.Pose to IkSolver.Pose.
+// Returns { from, to, name } pairs of old and new qualified names, name is the
+// old simple name.
+function matchPreviousTypes(types, previousTypes, oldPath, newPath) {
+    const oldOuter = path.basename(oldPath, path.extname(oldPath));
+    const newOuter = path.basename(newPath, path.extname(newPath));
+    const previousByName = new Map(previousTypes.map(type => [type.qualifiedName, type]));
+    const links = [];
+    for (const type of types) {
+        let previous = previousByName.get(type.qualifiedName);
+        if (!previous && oldOuter !== newOuter && (type.qualifiedName === newOuter || type.qualifiedName.startsWith(`${newOuter}.`))) {
+            previous = previousByName.get(oldOuter + type.qualifiedName.substring(newOuter.length));
+        }
+        if (!previous) continue;
+        links.push({ from: previous.qualifiedName, to: type.qualifiedName, name: previous.name });
+    }
+    return links;
+}
 
-        // Runtime configuration
-        const runtimeConfigs = {
-            'spine-cpp': { path: path.join(spineRuntimesDir, 'spine-cpp/spine-cpp'), language: 'cpp' },
-            'spine-haxe': { path: path.join(spineRuntimesDir, 'spine-haxe/spine-haxe'), language: 'haxe' },
-            'spine-ts': { path: path.join(spineRuntimesDir, 'spine-ts/spine-core'), language: 'typescript' }
+// Helper function to find the types of a file's previous version that are gone
+// from the file. Types that now live elsewhere, found by a unique simple name or
+// as inner types of a moved type, record where they moved to.
+function findDeletedTypes(previousTypes, links, oldPath, newLsp) {
+    const matched = new Set(links.map(link => link.from));
+    const newTypes = newLsp ? collectTypes(newLsp.symbols) : [];
+    const deletedTypes = previousTypes.filter(type => !matched.has(type.qualifiedName)).map(type => {
+        const deleted = {
+            filePath: oldPath,
+            name: type.name,
+            qualifiedName: type.qualifiedName,
+            kind: type.kind,
+            startLine: type.startLine,
+            endLine: type.endLine,
+            isInner: type.isInner
         };
+        const moved = newTypes.filter(candidate => candidate.name === type.name);
+        if (moved.length === 1) {
+            deleted.movedTo = { javaSourcePath: moved[0].symbol.file, qualifiedName: moved[0].qualifiedName };
+        }
+        return deleted;
+    });
+
+    // Previous types come outer first, so moves propagate to nested inner types
+    for (const deleted of deletedTypes) {
+        if (deleted.movedTo) continue;
+        const outer = deletedTypes.find(other => other.movedTo && deleted.qualifiedName.startsWith(`${other.qualifiedName}.`));
+        if (!outer) continue;
+        const qualifiedName = outer.movedTo.qualifiedName + deleted.qualifiedName.substring(outer.qualifiedName.length);
+        const moved = newTypes.find(type => type.symbol.file === outer.movedTo.javaSourcePath && type.qualifiedName === qualifiedName);
+        if (moved) {
+            deleted.movedTo = { javaSourcePath: moved.symbol.file, qualifiedName };
+        }
+    }
+    return deletedTypes;
+}
 
-        // First, generate LSP data for old branch using worktree
-        console.log(`\n${c.bold('Creating temporary worktree for old branch...')}`);
-        const worktreePath = path.join('/tmp', `spine-old-${Date.now()}`);
-        
-        try {
-            // Create worktree for old branch
-            console.log(`   ${c.gray('Creating worktree at:')} ${worktreePath}`);
-            execSync(`git worktree add "${worktreePath}" "${fromCommit}"`, { 
-                cwd: spineRuntimesDir,
-                stdio: 'pipe'
-            });
-            console.log(`   ${c.green('✓')} Worktree created for ${c.cyan(fromCommit)}`);
-            
-            // Generate LSP data for old spine-libgdx
-            const oldLibgdxPath = path.join(worktreePath, 'spine-libgdx/spine-libgdx/src');
-            const oldOutputFile = path.join(process.cwd(), 'spine-libgdx-old.json');
-            
-            console.log(`\n${c.blue('→')} Generating LSP data for old spine-libgdx (${fromCommit})`);
-            await generateLspJson(oldLibgdxPath, 'java', oldOutputFile);
-            
-        } finally {
-            // Clean up worktree
-            console.log(`\n${c.blue('→')} Cleaning up worktree...`);
-            try {
-                execSync(`git worktree remove "${worktreePath}" --force`, {
-                    cwd: spineRuntimesDir,
-                    stdio: 'pipe'
+// Order of type kinds when nothing else decides: enums first, then interfaces, then classes
+const typeKindOrder = { 'enum': 0, 'interface': 1, 'class': 2 };
+
+// Helper function to get a type's own source lines, without the lines of its
+// inner types, so a change to an inner type doesn't count for the outer one
+function ownLines(lines, type, fileTypes) {
+    const inner = fileTypes.filter(other => other.qualifiedName.startsWith(`${type.qualifiedName}.`));
+    return lines.slice(type.startLine - 1, type.endLine)
+        .filter((line, i) => !inner.some(other => type.startLine + i >= other.startLine && type.startLine + i <= other.endLine))
+        .map(line => line.trimEnd());
+}
+
+// Helper function to classify a type against its previous version: 'unchanged'
+// if its own source is identical, 'moved' if it moved to another file or only
+// differs in whitespace, 'modified' otherwise
+function classifyChange(lines, previousLines, moved) {
+    if (lines.join('\n') === previousLines.join('\n')) return moved ? 'moved' : 'unchanged';
+    const strip = text => text.join('').replace(/\s+/g, '');
+    return strip(lines) === strip(previousLines) ? 'moved' : 'modified';
+}
+
+// Helper function to find a type symbol by the end of its file path and its qualified name
+function findTypeSymbol(lspData, fileSuffix, qualifiedName) {
+    const match = collectTypes(lspData.symbols).find(type => type.symbol.file.endsWith(fileSuffix) && type.qualifiedName === qualifiedName);
+    return match ? match.symbol : null;
+}
+
+// Helper function to get a member's or inner type's line range including the javadoc,
+// annotations and comments above it
+function memberRange(lines, symbol) {
+    let startLine = symbol.range.start.line;
+    while (startLine > 1 && /^(\/\*\*|\*|@|\/\/)/.test((lines[startLine - 2] || '').trim())) startLine--;
+    return { startLine, endLine: symbol.range.end.line };
+}
+
+// Helper function to get the lines of a type outside its members and inner
+// types, e.g. its declaration, javadoc and initializer blocks
+function nonMemberLines(lines, symbol) {
+    const excluded = (symbol.children || []).map(child => memberRange(lines, child));
+    const result = [];
+    for (let line = symbol.range.start.line; line <= symbol.range.end.line; line++) {
+        if (!excluded.some(range => line >= range.startLine && line <= range.endLine)) result.push(lines[line - 1] || '');
+    }
+    return result;
+}
+
+// Helper function to get the lines of a member. Fields declared together, e.g.
+// `float x, y;`, share their declaration, each keeps the modifiers, the type
+// and its own declarator only, so adding a field doesn't change the others.
+function memberLines(lines, member, members) {
+    const range = memberRange(lines, member.symbol);
+    const sourceLines = lines.slice(range.startLine - 1, range.endLine);
+    const line = member.symbol.range.start.line;
+    const together = members.filter(other => other.kind === 'field' && other.symbol.selectionRange &&
+        other.symbol.range.start.line === line);
+    if (!together.includes(member) || together.length < 2 || member.symbol.range.end.line !== line) return sourceLines;
+
+    const declaration = lines[line - 1] || '';
+    const first = Math.min(...together.map(other => other.symbol.selectionRange.start.character));
+    let end = member.symbol.selectionRange.start.character - 1;
+    // The declarator ends at the next comma or semicolon outside of brackets
+    for (let depth = 0; end < declaration.length; end++) {
+        const char = declaration[end];
+        if ('([{'.includes(char)) depth++;
+        else if (')]}'.includes(char)) depth--;
+        else if (depth === 0 && (char === ',' || char === ';')) break;
+    }
+    const declarator = declaration.substring(member.symbol.selectionRange.start.character - 1, end);
+    return [...sourceLines.slice(0, line - range.startLine), declaration.substring(0, first - 1) + declarator];
+}
+
+// Helper function to split a modified type into tasks for its members that were
+// added, modified or removed, compared by kind and signature, constructors by
+// their parameters as they follow type renames. Whitespace-only changes don't
+// count. Changes outside the members become an `other` task.
+function memberTasks(symbol, lines, previousSymbol, previousLines) {
+    const strip = text => text.replace(/\s+/g, '');
+    const previousAll = getMembers(previousSymbol);
+    const all = getMembers(symbol);
+    const keyOf = member => member.kind === 'constructor' ? `constructor(${member.params.join(', ')})` : `${member.kind} ${member.signature}`;
+    const previousMembers = new Map(previousAll.map(member => [keyOf(member), member]));
+    const tasks = [];
+    for (const member of all) {
+        const key = keyOf(member);
+        const previous = previousMembers.get(key);
+        previousMembers.delete(key);
+        const range = memberRange(lines, member.symbol);
+        const content = memberLines(lines, member, all);
+        let change = 'added';
+        if (previous) {
+            if (strip(content.join('\n')) === strip(memberLines(previousLines, previous, previousAll).join('\n'))) continue;
+            change = 'modified';
+        }
+        tasks.push({
+            name: member.name,
+            kind: member.kind,
+            signature: member.signature,
+            ...range,
+            change,
+            contentHash: hashLines(content, 1, content.length),
+            portingState: 'pending'
+        });
+    }
+
+    // A member whose signature changed is added and removed under the same name,
+    // pair them if the name is unique on both sides
+    for (const task of tasks) {
+        if (task.change !== 'added' || tasks.filter(other => other.kind === task.kind && other.name === task.name).length > 1) continue;
+        const previous = [...previousMembers.entries()].filter(([, member]) => member.kind === task.kind && member.name === task.name);
+        if (previous.length !== 1) continue;
+        task.change = 'modified';
+        task.previousSignature = previous[0][1].signature;
+        previousMembers.delete(previous[0][0]);
+    }
+
+    // Removed members keep their line range at the from-commit
+    for (const member of previousMembers.values()) {
+        tasks.push({
+            name: member.name,
+            kind: member.kind,
+            signature: member.signature,
+            ...memberRange(previousLines, member.symbol),
+            change: 'removed',
+            portingState: 'pending'
+        });
+    }
+
+    if (strip(nonMemberLines(lines, symbol).join('')) !== strip(nonMemberLines(previousLines, previousSymbol).join(''))) {
+        tasks.push({
+            name: 'other',
+            kind: 'other',
+            signature: 'other',
+            startLine: symbol.range.start.line,
+            endLine: symbol.range.end.line,
+            change: 'modified',
+            portingState: 'pending'
+        });
+    }
+    return tasks;
+}
+
+// Helper function to compare types that don't depend on each other
+function compareTypes(a, b) {
+    const orderDiff = typeKindOrder[a.kind] - typeKindOrder[b.kind];
+    if (orderDiff !== 0) return orderDiff;
+    // If same kind, sort by name
+    return a.name.localeCompare(b.name);
+}
+
+// Helper function to compare files that don't depend on each other
+function compareFiles(a, b) {
+    const aTypes = a.types?.length || 0;
+    const bTypes = b.types?.length || 0;
+
+    // First sort by number of types
+    if (aTypes !== bTypes) return aTypes - bTypes;
+
+    // For files with the same number of types
+    if (aTypes === 1 && bTypes === 1) {
+        // For single-type files, sort by type kind (enum < interface < class)
+        const kindDiff = typeKindOrder[a.types[0].kind] - typeKindOrder[b.types[0].kind];
+        if (kindDiff !== 0) return kindDiff;
+    }
+
+    // If same number and kinds of types, sort by file path
+    return a.javaSourcePath.localeCompare(b.javaSourcePath);
+}
+
+// Helper function to order files and their types so every type comes after the
+// types it extends, implements or uses in fields and parameters. Records each
+// type's dependencies and returns the dependency cycles between planned types.
+function orderByDependencies(portingOrder, lspData) {
+    const { types, dependencies } = computeDependencies(lspData.symbols, readSourceLines);
+    const typesByLocation = new Map();
+    for (const entry of types.values()) {
+        typesByLocation.set(`${entry.symbol.file}#${entry.qualifiedName}`, entry);
+    }
+
+    // Link plan types to the dependency graph and record their dependencies
+    const fullNameOf = new Map();
+    const planTypeOf = new Map();
+    const fileOf = new Map();
+    for (const file of portingOrder) {
+        for (const type of file.types || []) {
+            fileOf.set(type, file);
+            const entry = typesByLocation.get(`${file.javaSourcePath}#${type.qualifiedName}`);
+            if (!entry) continue;
+            fullNameOf.set(type, entry.fullName);
+            planTypeOf.set(entry.fullName, type);
+            type.dependencies = [...dependencies.get(entry.fullName)]
+                .map(fullName => types.get(fullName).qualifiedName)
+                .sort();
+        }
+    }
+
+    const typeEdges = (type) => [...(dependencies.get(fullNameOf.get(type)) || [])]
+        .map(fullName => planTypeOf.get(fullName))
+        .filter(Boolean);
+    const fileEdges = (file) => new Set((file.types || []).flatMap(type => typeEdges(type).map(dep => fileOf.get(dep))));
+
+    // Types are ported file by file, so order the types within each file, then the files
+    for (const file of portingOrder) {
+        if (file.types) {
+            file.types = topologicalOrder(file.types, typeEdges, compareTypes).order;
+        }
+    }
+    const { order } = topologicalOrder(portingOrder, fileEdges, compareFiles);
+    portingOrder.splice(0, portingOrder.length, ...order);
+
+    const allTypes = portingOrder.flatMap(file => file.types || []);
+    return topologicalOrder(allTypes, typeEdges, compareTypes).cycles
+        .map(cycle => cycle.map(type => type.qualifiedName));
+}
+
+// Fields of a type or deleted file that record porting progress, carried over when merging
+const progressFields = ['portingState', 'status', 'note'];
+
+// Helper function to hash a type of a previous plan that predates content hashes,
+// or hashed the type with its inner types, using the Java source at the commit that
+// plan was generated for. fileTypes are the previous plan's types of the file.
+function previousContentHash(previousPlan, filePath, type, fileTypes) {
+    const { currentBranch, spineRuntimesDir: previousDir } = previousPlan.metadata;
+    const relativePath = path.relative(previousDir || spineRuntimesDir, filePath);
+    try {
+        const content = execSync(`git show "${currentBranch}:${relativePath}"`, {
+            cwd: spineRuntimesDir,
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'ignore']
+        });
+        return hashType(content.split('\n'), type, fileTypes);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Helper function to merge the progress of a previous plan into a new one. Types
+// whose source is unchanged keep their state and note, changed types that were
+// already worked on are reset to pending with a note, and types that are no
+// longer in the plan are recorded in disappearedTypes.
+function mergeWithPreviousPlan(portingPlan, previousPlan) {
+    const stats = { kept: 0, reset: [], added: 0, disappeared: [] };
+    const key = (filePath, type) => `${filePath}#${type.qualifiedName || type.name}`;
+
+    // Types that disappeared in an earlier merge can come back
+    const previousTypes = new Map();
+    for (const type of previousPlan.disappearedTypes || []) {
+        previousTypes.set(key(type.javaSourcePath, type), { filePath: type.javaSourcePath, type, disappeared: true });
+    }
+    for (const file of previousPlan.portingOrder || []) {
+        for (const type of file.types || []) {
+            previousTypes.set(key(file.javaSourcePath, type), { filePath: file.javaSourcePath, type, disappeared: false });
+        }
+    }
+    const previousTypesByFile = new Map();
+    for (const { filePath, type } of previousTypes.values()) {
+        if (!previousTypesByFile.has(filePath)) previousTypesByFile.set(filePath, []);
+        previousTypesByFile.get(filePath).push(type);
+    }
+
+    for (const file of portingPlan.portingOrder) {
+        for (const type of file.types || []) {
+            const previous = previousTypes.get(key(file.javaSourcePath, type));
+            if (!previous) {
+                stats.added++;
+                continue;
+            }
+            previousTypes.delete(key(file.javaSourcePath, type));
+
+            const previousHash = previousPlan.metadata.contentHashes === CONTENT_HASHES && previous.type.contentHash ||
+                previousContentHash(previousPlan, previous.filePath, previous.type, previousTypesByFile.get(previous.filePath));
+            const previousState = previous.type.portingState || 'pending';
+            if (previousHash === type.contentHash) {
+                progressFields.forEach(field => {
+                    if (previous.type[field] !== undefined) type[field] = previous.type[field];
                 });
-                console.log(`   ${c.green('✓')} Worktree removed`);
-            } catch (error) {
-                console.log(`   ${c.yellow('⚠')} Failed to remove worktree: ${error.message}`);
-                // Try manual cleanup
-                try {
-                    execSync(`rm -rf "${worktreePath}"`, { stdio: 'pipe' });
-                    execSync(`git worktree prune`, { cwd: spineRuntimesDir, stdio: 'pipe' });
-                } catch (cleanupError) {
-                    console.log(`   ${c.yellow('⚠')} Manual cleanup also failed`);
+                stats.kept++;
+            } else if (previousState !== 'pending') {
+                const reason = previousHash
+                    ? `Java source changed between ${previousPlan.metadata.currentBranch} and ${toCommit}`
+                    : `no content hash in the previous plan to compare with`;
+                const previousNote = previous.type.note ? ` Previous note: ${previous.type.note}` : '';
+                type.note = `Reset from ${previousState}: ${reason}.${previousNote}`;
+                stats.reset.push({ type, from: previousState });
+            } else if (previous.type.note) {
+                type.note = previous.type.note;
+            }
+
+            // Member tasks keep their progress while their own source is unchanged,
+            // the type's state follows them
+            if (type.members) {
+                const memberKey = member => `${member.kind} ${member.signature} ${member.change}`;
+                const previousMembers = new Map((previous.type.members || []).map(member => [memberKey(member), member]));
+                for (const member of type.members) {
+                    const previousMember = previousMembers.get(memberKey(member));
+                    if (!previousMember || previousMember.contentHash !== member.contentHash) continue;
+                    progressFields.forEach(field => {
+                        if (previousMember[field] !== undefined) member[field] = previousMember[field];
+                    });
                 }
+                type.portingState = memberTasksState(type.members);
             }
         }
+    }
 
-        // Generate LSP data for spine-libgdx and target runtime only
-        const runtimesToGenerate = [
-            { name: 'spine-libgdx', path: path.join(spineRuntimesDir, 'spine-libgdx/spine-libgdx/src'), language: 'java' },
-            { name: targetRuntime, ...runtimeConfigs[targetRuntime] }
-        ];
+    // Whatever is left is no longer part of the plan
+    portingPlan.disappearedTypes = [...previousTypes.values()].map(({ filePath, type, disappeared }) => {
+        if (disappeared) return type;
+        stats.disappeared.push(type.qualifiedName || type.name);
+        const { candidateFiles, dependencies, ...entry } = type;
+        return { javaSourcePath: filePath, ...entry, disappearedIn: toCommit };
+    });
+
+    // Deleted types, deleted and renamed files keep their status
+    const carryOver = (entries, previousEntries, keyOf) => {
+        const previousByKey = new Map((previousEntries || []).map(entry => [keyOf(entry), entry]));
+        for (const entry of entries) {
+            const previous = previousByKey.get(keyOf(entry));
+            if (!previous) continue;
+            progressFields.forEach(field => {
+                if (previous[field] !== undefined) entry[field] = previous[field];
+            });
+        }
+    };
+    carryOver(portingPlan.deletedFiles, previousPlan.deletedFiles, file => file.filePath);
+    carryOver(portingPlan.deletedTypes, previousPlan.deletedTypes, type => `${type.filePath}#${type.qualifiedName}`);
+    carryOver(portingPlan.renamedFiles, previousPlan.renamedFiles, file => `${file.oldPath}#${file.newPath}`);
+
+    // Keep the commit ranges of earlier runs, plans without a history covered one range
+    const previousHistory = previousPlan.metadata.history || [{
+        from: previousPlan.metadata.prevBranch,
+        to: previousPlan.metadata.currentBranch,
+        generated: previousPlan.metadata.generated
+    }];
+    portingPlan.metadata.history = [...previousHistory, ...portingPlan.metadata.history];
+    return stats;
+}
 
-        console.log(`\n${c.bold('Generating LSP data for current branch...')}`);
-        console.log(c.gray('─'.repeat(60)));
+// Helper function to resolve a commit to its SHA, null if it can't be resolved
+function resolveCommit(commit) {
+    try {
+        return execSync(`git rev-parse --verify "${commit}^{commit}"`, {
+            cwd: spineRuntimesDir,
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'ignore']
+        }).trim();
+    } catch (error) {
+        return null;
+    }
+}
 
-        for (const runtime of runtimesToGenerate) {
-            const outputFile = path.join(process.cwd(), `${runtime.name}.json`);
-            if (fs.existsSync(runtime.path)) {
-                await generateLspJson(runtime.path, runtime.language, outputFile);
-            } else {
-                console.log(`\n${c.blue('→')} Processing ${c.bold(runtime.name)}`);
-                console.log(`   ${c.red('✗')} Runtime path not found: ${c.dim(runtime.path)}`);
-            }
-        }
+// Main processing
+async function main() {
+    try {
+        console.log(`\n${c.bold('Analyzing changes')} from ${c.cyan(fromCommit)} to ${c.cyan(toCommit)}`);
+        console.log(`${c.gray('Spine runtimes directory:')} ${spineRuntimesDir}`);
+        console.log(`${c.gray('Target runtime:')} ${c.cyan(targetRuntime)}`);
 
-        console.log('\n' + c.gray('─'.repeat(60)));
+        // Target runtime configuration
+        const targetConfig = runtimeConfig.runtimes[targetRuntime];
+        const targetRuntimePath = path.resolve(spineRuntimesDir, targetConfig.sourceRoot);
 
-        // Load and convert the old spine-libgdx LSP data
-        console.log(`\n${c.blue('→')} Loading spine-libgdx-old LSP data...`);
+        // The reference runtime's data is always written to spine-libgdx.json and
+        // spine-libgdx-old.json, which the other tools read
         const oldLibgdxLspPath = path.join(process.cwd(), 'spine-libgdx-old.json');
-        if (fs.existsSync(oldLibgdxLspPath)) {
-            try {
-                const oldLsp = JSON.parse(fs.readFileSync(oldLibgdxLspPath, 'utf8'));
-                console.log(`   ${c.green('✓')} Loaded ${c.cyan(oldLsp.symbols.length)} symbols`);
-                // Convert to 1-based indexing
-                convertTo1Based(oldLsp);
-                // Save the converted version back
-                fs.writeFileSync(oldLibgdxLspPath, JSON.stringify(oldLsp, null, 2));
-                console.log(`   ${c.green('✓')} Converted to 1-based indexing`);
-            } catch (error) {
-                console.error(`   ${c.yellow('⚠')} Warning: Could not parse spine-libgdx-old.json: ${error.message}`);
+        const libgdxLspPath = path.join(process.cwd(), 'spine-libgdx.json');
+        const targetLspPath = path.join(process.cwd(), `${targetRuntime}.json`);
+        await generateAllLspJson([
+            {
+                label: `${reference.name} at ${fromCommit}`, name: `${reference.name}-old`, commit: fromCommit,
+                sourceRoot: reference.sourceRoot, language: reference.language, outputFile: oldLibgdxLspPath,
+                inputFile: inputFiles.oldLsp
+            },
+            {
+                label: reference.name, name: reference.name, commit: null, path: path.join(spineRuntimesDir, reference.sourceRoot),
+                sourceRoot: reference.sourceRoot, language: reference.language, outputFile: libgdxLspPath,
+                inputFile: inputFiles.lsp
+            },
+            {
+                label: targetRuntime, name: targetRuntime, commit: null, path: targetRuntimePath,
+                sourceRoot: targetConfig.sourceRoot, language: targetConfig.language, outputFile: targetLspPath,
+                inputFile: inputFiles.targetLsp
             }
-        }
+        ]);
 
         // Load the spine-libgdx LSP data for type extraction
         console.log(`\n${c.blue('→')} Loading spine-libgdx LSP data for type extraction...`);
-        let spineLibgdxLsp = null;
-        const libgdxLspPath = path.join(process.cwd(), 'spine-libgdx.json');
-        if (fs.existsSync(libgdxLspPath)) {
-            try {
-                spineLibgdxLsp = JSON.parse(fs.readFileSync(libgdxLspPath, 'utf8'));
-                console.log(`   ${c.green('✓')} Loaded ${c.cyan(spineLibgdxLsp.symbols.length)} symbols`);
-                // Convert to 1-based indexing
-                convertTo1Based(spineLibgdxLsp);
-                // Save the converted version back
-                fs.writeFileSync(libgdxLspPath, JSON.stringify(spineLibgdxLsp, null, 2));
-                console.log(`   ${c.green('✓')} Converted to 1-based indexing`);
-            } catch (error) {
-                console.error(`   ${c.yellow('⚠')} Warning: Could not parse spine-libgdx.json: ${error.message}`);
-            }
-        } else {
-            console.log(`   ${c.yellow('⚠')} spine-libgdx.json not found`);
-        }
+        const spineLibgdxLsp = loadLspJson(libgdxLspPath);
+
+        // Load the old spine-libgdx LSP data to follow renamed and copied files
+        console.log(`\n${c.blue('→')} Loading spine-libgdx-old LSP data...`);
+        const oldLibgdxLsp = loadLspJson(oldLibgdxLspPath);
 
         // Load the target runtime LSP data for finding candidates
         console.log(`\n${c.blue('→')} Loading ${targetRuntime} LSP data for candidate detection...`);
-        let targetLsp = null;
-        const targetLspPath = path.join(process.cwd(), `${targetRuntime}.json`);
-        if (fs.existsSync(targetLspPath)) {
-            try {
-                targetLsp = JSON.parse(fs.readFileSync(targetLspPath, 'utf8'));
-                console.log(`   ${c.green('✓')} Loaded ${c.cyan(targetLsp.symbols.length)} symbols`);
-                // Convert to 1-based indexing
-                convertTo1Based(targetLsp);
-                // Save the converted version back
-                fs.writeFileSync(targetLspPath, JSON.stringify(targetLsp, null, 2));
-                console.log(`   ${c.green('✓')} Converted to 1-based indexing`);
-            } catch (error) {
-                console.error(`   ${c.yellow('⚠')} Warning: Could not parse ${targetRuntime}.json: ${error.message}`);
-            }
-        } else {
-            console.log(`   ${c.yellow('⚠')} ${targetRuntime}.json not found`);
-        }
+        const targetLsp = loadLspJson(targetLspPath);
 
         // Get list of changed Java files in spine-libgdx
         console.log(`\n${c.blue('→')} Analyzing git changes...`);
-        const gitCommand = `git diff --name-status ${fromCommit}..${toCommit} -- spine-libgdx/spine-libgdx/src/com/esotericsoftware/spine/`;
-        const gitOutput = execSync(gitCommand, { cwd: spineRuntimesDir, encoding: 'utf8' });
+        // -M -C report renames and copies as `R087 <old> <new>` and `C075 <old> <new>`
+        let gitOutput;
+        if (inputFiles.diff) {
+            // A saved listing may cover more than the reference runtime
+            console.log(`   ${c.gray('Reading:')} ${c.dim(inputFiles.diff)}`);
+            gitOutput = fs.readFileSync(inputFiles.diff, 'utf8').split('\n')
+                .filter(line => line.split('\t').slice(1).some(file => file.startsWith(reference.diffFilter)))
+                .join('\n');
+        } else {
+            const gitCommand = `git diff --name-status -M -C ${fromCommit}..${toCommit} -- ${reference.diffFilter}`;
+            gitOutput = execSync(gitCommand, { cwd: spineRuntimesDir, encoding: 'utf8' });
+        }
 
         const portingOrder = [];
         const deletedFiles = [];
+        const renamedFiles = [];
+        const deletedTypes = [];
+        const isSourceFile = file => reference.extensions.some(extension => file.endsWith(extension));
 
-        // Process each changed file
+        // Process each changed file, fields are tab separated so paths may contain spaces
         const lines = gitOutput.trim().split('\n').filter(line => line);
 
         for (const line of lines) {
-            const [status, ...pathParts] = line.split(/\s+/);
-            const relativePath = pathParts.join(' ');
+            const [statusField, ...paths] = line.split('\t');
+            const status = statusField.charAt(0);
+            const similarity = statusField.length > 1 ? parseInt(statusField.substring(1), 10) : null;
+            const relativePath = paths[paths.length - 1];
             const absolutePath = path.join(spineRuntimesDir, relativePath);
+            const oldRelativePath = paths.length > 1 ? paths[0] : null;
+            const oldAbsolutePath = oldRelativePath ? path.join(spineRuntimesDir, oldRelativePath) : null;
 
             if (status === 'D') {
                 // Deleted file
@@ -371,28 +973,31 @@ async function main() {
                     filePath: absolutePath,
                     status: 'pending'
                 });
-            } else if ((status === 'A' || status === 'M') && relativePath.endsWith('.java')) {
-                // Added or modified Java file
+            } else if (['A', 'M', 'R', 'C'].includes(status) && isSourceFile(relativePath)) {
+                // Added, modified, renamed or copied Java file
                 const entry = {
                     javaSourcePath: absolutePath
                 };
+                if (status === 'R') {
+                    entry.renamedFrom = oldAbsolutePath;
+                    entry.similarity = similarity;
+                } else if (status === 'C') {
+                    entry.copiedFrom = oldAbsolutePath;
+                    entry.similarity = similarity;
+                }
 
                 // Extract types if LSP data is available
                 if (spineLibgdxLsp) {
                     const types = extractTypesFromFile(spineLibgdxLsp, absolutePath);
                     if (types.length > 0) {
                         // Sort types: enums first, then interfaces, then classes
-                        const typeOrder = { 'enum': 0, 'interface': 1, 'class': 2 };
-                        types.sort((a, b) => {
-                            const orderDiff = typeOrder[a.kind] - typeOrder[b.kind];
-                            if (orderDiff !== 0) return orderDiff;
-                            // If same kind, sort by name
-                            return a.name.localeCompare(b.name);
-                        });
+                        types.sort(compareTypes);
 
-                        // Find candidate files for each type
+                        // Find candidate files for each type and hash its source for later merges
+                        const sourceLines = requireSource(readSourceLines(absolutePath), absolutePath);
                         types.forEach(type => {
-                            type.candidateFiles = findCandidateFiles(targetLsp, type.name);
+                            type.candidateFiles = findCandidateFiles(targetLsp, type.name, targetConfig);
+                            if (sourceLines.length > 0) type.contentHash = hashType(sourceLines, type, types);
                             type.portingState = 'pending';
                         });
 
@@ -400,35 +1005,122 @@ async function main() {
                     }
                 }
 
-                portingOrder.push(entry);
-            }
-        }
+                // Match the types to the previous version of the file
+                const previousPath = oldAbsolutePath || absolutePath;
+                const previousTypes = extractOldTypesFromFile(oldLibgdxLsp, oldRelativePath || relativePath);
+                const links = matchPreviousTypes(entry.types || [], previousTypes, previousPath, absolutePath);
+
+                // Types removed from a file that still exists. A copy leaves its
+                // source in place, so only modified and renamed files lose types.
+                if ((status === 'M' || status === 'R') && oldLibgdxLsp && spineLibgdxLsp) {
+                    for (const deleted of findDeletedTypes(previousTypes, links, previousPath, spineLibgdxLsp)) {
+                        deleted.candidateFiles = findCandidateFiles(targetLsp, deleted.name, targetConfig);
+                        deleted.status = 'pending';
+                        deletedTypes.push(deleted);
+                    }
+                }
 
-        // Sort files by type content and count
-        const typeOrder = { 'enum': 0, 'interface': 1, 'class': 2 };
+                // Classify the types of modified and renamed files against their
+                // previous version. Copies are new to the target, like added files.
+                const sourceLines = readSourceLines(absolutePath);
+                const previousLines = readPreviousSourceLines(oldLibgdxLsp, oldRelativePath || relativePath);
+                if (entry.types && (status === 'M' || status === 'R')) {
+                    requireSource(previousLines, `${oldRelativePath || relativePath} at ${fromCommit}`);
+                }
+                const canClassify = oldLibgdxLsp && sourceLines.length > 0 && (status !== 'M' && status !== 'R' || previousLines.length > 0);
+                if (entry.types && canClassify) {
+                    for (const type of entry.types) {
+                        const link = (status === 'M' || status === 'R') && links.find(l => l.to === type.qualifiedName);
+                        if (!link) {
+                            type.change = 'added';
+                            continue;
+                        }
+                        const previous = previousTypes.find(t => t.qualifiedName === link.from);
+                        type.change = classifyChange(ownLines(sourceLines, type, entry.types),
+                            ownLines(previousLines, previous, previousTypes), link.from !== link.to);
+                    }
+                }
+
+                // Split large modified types into member tasks, so they can be ported
+                // over several sessions
+                if (splitMembers !== null && entry.types && canClassify) {
+                    for (const type of entry.types) {
+                        if (type.change !== 'modified' || ownLines(sourceLines, type, entry.types).length <= splitMembers) continue;
+                        const link = links.find(l => l.to === type.qualifiedName);
+                        const symbol = findTypeSymbol(spineLibgdxLsp, absolutePath, type.qualifiedName);
+                        const previousSymbol = findTypeSymbol(oldLibgdxLsp, `/${oldRelativePath || relativePath}`, link.from);
+                        if (!symbol || !previousSymbol) continue;
+                        const members = memberTasks(symbol, sourceLines, previousSymbol, previousLines);
+                        if (members.length > 0) type.members = members;
+                    }
+                }
 
-        portingOrder.sort((a, b) => {
-            const aTypes = a.types?.length || 0;
-            const bTypes = b.types?.length || 0;
+                // Link the types to the ones they were renamed or copied from. The
+                // target still uses the old names, so a renamed type without target
+                // files of its own is matched by its old name.
+                if ((status === 'R' || status === 'C') && entry.types) {
+                    const linkField = status === 'R' ? 'renamedFrom' : 'copiedFrom';
+                    for (const type of entry.types) {
+                        const link = links.find(l => l.to === type.qualifiedName);
+                        if (!link) continue;
+                        type[linkField] = { javaSourcePath: oldAbsolutePath, qualifiedName: link.from };
+                        if (status === 'R' && type.candidateFiles.length === 0) {
+                            type.candidateFiles = findCandidateFiles(targetLsp, link.name, targetConfig);
+                        }
+                    }
 
-            // First sort by number of types
-            if (aTypes !== bTypes) return aTypes - bTypes;
+                    // Renamed files are a task of their own: rename the target files and types
+                    if (status === 'R') {
+                        const candidateFiles = new Set();
+                        links.forEach(link => findCandidateFiles(targetLsp, link.name, targetConfig).forEach(file => candidateFiles.add(file)));
+                        renamedFiles.push({
+                            oldPath: oldAbsolutePath,
+                            newPath: absolutePath,
+                            similarity,
+                            types: links.map(({ from, to }) => ({ from, to })),
+                            candidateFiles: [...candidateFiles],
+                            status: 'pending'
+                        });
+                    }
+                }
 
-            // For files with the same number of types
-            if (aTypes === 1 && bTypes === 1) {
-                // For single-type files, sort by type kind (enum < interface < class)
-                const aKind = a.types[0].kind;
-                const bKind = b.types[0].kind;
-                const kindDiff = typeOrder[aKind] - typeOrder[bKind];
-                if (kindDiff !== 0) return kindDiff;
+                portingOrder.push(entry);
             }
+        }
 
-            // If same number and kinds of types, sort by file path
-            return a.javaSourcePath.localeCompare(b.javaSourcePath);
-        });
+        // Added types that were moved out of another file, e.g. an inner class
+        // turned into a file of its own, are compared with their old location
+        for (const deleted of deletedTypes.filter(deleted => deleted.movedTo)) {
+            const file = portingOrder.find(file => file.javaSourcePath === deleted.movedTo.javaSourcePath);
+            const type = file && (file.types || []).find(t => t.qualifiedName === deleted.movedTo.qualifiedName);
+            if (!type || type.change !== 'added') continue;
+            const oldRelativePath = path.relative(spineRuntimesDir, deleted.filePath);
+            const previousTypes = extractOldTypesFromFile(oldLibgdxLsp, oldRelativePath);
+            const previousLines = requireSource(readPreviousSourceLines(oldLibgdxLsp, oldRelativePath), `${oldRelativePath} at ${fromCommit}`);
+            if (previousLines.length > 0) {
+                type.change = classifyChange(ownLines(readSourceLines(file.javaSourcePath), type, file.types),
+                    ownLines(previousLines, deleted, previousTypes), true);
+            } else {
+                // Not added, but the old source isn't available to compare with
+                delete type.change;
+            }
+            type.movedFrom = { javaSourcePath: deleted.filePath, qualifiedName: deleted.qualifiedName };
+        }
 
-        // Get target runtime config
-        const targetConfig = runtimeConfigs[targetRuntime];
+        // Order files and types by their dependencies, falling back to type content
+        // and count if there is no LSP data to compute dependencies from
+        let dependencyCycles = [];
+        if (spineLibgdxLsp) {
+            console.log(`\n${c.blue('→')} Ordering types by dependencies...`);
+            dependencyCycles = orderByDependencies(portingOrder, spineLibgdxLsp);
+            console.log(`   ${c.green('✓')} Ordered ${c.cyan(portingOrder.length)} files`);
+            if (dependencyCycles.length > 0) {
+                console.log(`   ${c.yellow('⚠')} ${dependencyCycles.length} dependency cycle(s), cyclic types are kept together:`);
+                dependencyCycles.forEach(cycle => console.log(`     ${c.dim(cycle.join(' ↔ '))}`));
+            }
+        } else {
+            portingOrder.sort(compareFiles);
+        }
 
         // Create the PortingPlan structure
         const portingPlan = {
@@ -437,23 +1129,101 @@ async function main() {
                 currentBranch: toCommit,
                 generated: new Date().toISOString(),
                 spineRuntimesDir: path.resolve(spineRuntimesDir),
+                referenceRuntime: reference.name,
+                referenceRuntimePath: path.resolve(spineRuntimesDir, reference.sourceRoot),
                 targetRuntime: targetRuntime,
-                targetRuntimePath: path.resolve(targetConfig.path),
-                targetRuntimeLanguage: targetConfig.language
+                targetRuntimePath: targetRuntimePath,
+                targetRuntimeLanguage: targetConfig.language,
+                compileCheck: targetConfig.compileCheck,
+                contentHashes: CONTENT_HASHES,
+                history: [{
+                    from: fromCommit,
+                    to: toCommit,
+                    fromSha: resolveCommit(fromCommit),
+                    toSha: resolveCommit(toCommit),
+                    generated: new Date().toISOString()
+                }]
             },
+            renamedFiles,
+            deletedTypes,
             deletedFiles,
-            portingOrder
+            portingOrder,
+            dependencyCycles
         };
 
+        // Carry over the progress of the existing plan
+        const outputPath = path.join(process.cwd(), PLAN_FILE);
+        let mergeStats = null;
+        if (mergeMode) {
+            if (fs.existsSync(outputPath)) {
+                console.log(`\n${c.blue('→')} Merging with existing ${PLAN_FILE}...`);
+                mergeStats = mergeWithPreviousPlan(portingPlan, loadPlan(outputPath));
+                console.log(`   ${c.green('✓')} Kept progress of ${c.cyan(mergeStats.kept)} types`);
+                if (mergeStats.reset.length > 0) {
+                    console.log(`   ${c.yellow('⚠')} Reset ${mergeStats.reset.length} changed type(s) to pending:`);
+                    mergeStats.reset.forEach(({ type }) => console.log(`     ${c.dim(type.qualifiedName)}`));
+                }
+                if (mergeStats.disappeared.length > 0) {
+                    console.log(`   ${c.yellow('⚠')} ${mergeStats.disappeared.length} type(s) no longer in the plan, see disappearedTypes:`);
+                    mergeStats.disappeared.forEach(name => console.log(`     ${c.dim(name)}`));
+                }
+            } else {
+                console.log(`\n${c.yellow('⚠')} No existing ${PLAN_FILE} to merge with, creating a new one`);
+            }
+        }
+
+        // Types whose own source didn't change only show up because something else in
+        // their file did, mark them done unless they are kept for a full parity audit.
+        // Types merged with progress or a note are left alone.
+        const unchangedTypes = portingOrder.flatMap(file => file.types || []).filter(type => type.change === 'unchanged');
+        const markedDone = keepUnchanged ? [] : unchangedTypes.filter(type => type.portingState === 'pending' && !type.note);
+        markedDone.forEach(type => {
+            type.portingState = 'done';
+            type.note = `Unchanged between ${fromCommit} and ${toCommit}`;
+        });
+
         // Write to porting-plan.json
-        const outputPath = path.join(process.cwd(), 'porting-plan.json');
-        fs.writeFileSync(outputPath, JSON.stringify(portingPlan, null, 2));
+        savePlan(portingPlan, outputPath);
+
+        // Log the state changes made here, like plan.js does for its own
+        const typeItems = planItems(portingPlan).filter(item => item.kind === 'type');
+        const transitions = [
+            ...(mergeStats ? mergeStats.reset : []),
+            ...markedDone.map(type => ({ type, from: 'pending' }))
+        ].filter(({ type, from }) => type.portingState !== from).map(({ type, from }) => ({
+            item: typeItems.find(item => item.entry === type),
+            from,
+            to: type.portingState,
+            note: type.note
+        }));
+        recordTransitions(portingPlan, transitions, path.join(process.cwd(), HISTORY_FILE));
 
         console.log();
         console.log(c.bold('Summary'));
         console.log(c.gray('─'.repeat(40)));
         console.log(`  Files to port: ${c.green(portingOrder.length)}`);
         console.log(`  Deleted files: ${c.yellow(deletedFiles.length)}`);
+        if (deletedTypes.length > 0) {
+            console.log(`  Deleted types: ${c.yellow(deletedTypes.length)}`);
+        }
+        if (renamedFiles.length > 0) {
+            console.log(`  Renamed files: ${c.yellow(renamedFiles.length)}`);
+        }
+        if (unchangedTypes.length > 0) {
+            console.log(`  Unchanged types: ${c.gray(unchangedTypes.length)} ${c.gray(keepUnchanged ? '(kept)' : '(marked done)')}`);
+        }
+        const splitTypes = portingOrder.flatMap(file => file.types || []).filter(type => type.members);
+        if (splitTypes.length > 0) {
+            const memberCount = splitTypes.reduce((count, type) => count + type.members.length, 0);
+            console.log(`  Split types: ${c.cyan(splitTypes.length)} ${c.gray(`(${memberCount} member tasks)`)}`);
+        }
+        if (dependencyCycles.length > 0) {
+            console.log(`  Dependency cycles: ${c.yellow(dependencyCycles.length)}`);
+        }
+        if (mergeStats) {
+            console.log(`  Merged: ${c.green(mergeStats.kept)} kept, ${c.yellow(mergeStats.reset.length)} reset, ` +
+                `${c.cyan(mergeStats.added)} new, ${c.yellow(mergeStats.disappeared.length)} disappeared`);
+        }
 
         // Count types if available
         const totalTypes = portingOrder.reduce((sum, file) => sum + (file.types?.length || 0), 0);
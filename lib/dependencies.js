@@ -0,0 +1,194 @@
+// Type dependency graph of spine-libgdx and dependency-aware ordering.
+//
+// A type depends on the types it extends or implements and on the types used by
+// its fields and method/constructor parameters. References are resolved against
+// all types in the LSP data, preferring types nested in the referencing type or
+// its enclosing types, then types in the same file, then types in the same package.
+
+const { collectTypes } = require('./java-types');
+const { getMembers } = require('./members');
+
+// Capitalized, possibly qualified identifiers, e.g. `Array<Animation.MixBlend>` -> Array, Animation.MixBlend
+const TYPE_REFERENCE = /\b[A-Z]\w*(?:\.[A-Z]\w*)*/g;
+
+function typeReferences(text) {
+    return (text || '').match(TYPE_REFERENCE) || [];
+}
+
+// Returns the `extends`/`implements` clauses of a type declaration, read from
+// the name up to the opening brace
+function supertypeReferences(entry, lines) {
+    const symbol = entry.symbol;
+    const position = symbol.selectionRange || symbol.range;
+    if (!position || lines.length === 0) return [];
+
+    let text = '';
+    for (let i = position.start.line - 1; i < lines.length && i < symbol.range.end.line; i++) {
+        let line = lines[i];
+        if (i === position.start.line - 1) line = line.substring(Math.max(0, position.start.character - 1));
+        const brace = line.indexOf('{');
+        text += ' ' + (brace === -1 ? line : line.substring(0, brace));
+        if (brace !== -1) break;
+    }
+
+    const clause = text.match(/\b(?:extends|implements)\b([\s\S]*)$/);
+    return clause ? typeReferences(clause[1].replace(/\b(?:extends|implements)\b/g, ' ')) : [];
+}
+
+// Falls back to the declaration text in front of the field name if the LSP
+// data has no type detail for the field
+function fieldTypeFromSource(member, lines) {
+    const position = member.symbol.selectionRange;
+    if (!position || lines.length === 0) return '';
+    const line = lines[position.start.line - 1] || '';
+    return line.substring(0, Math.max(0, position.start.character - 1));
+}
+
+// Resolves a type reference as seen from a type, returns the matching entry or null
+function resolveReference(reference, from, byName) {
+    const parts = reference.split('.');
+    const candidates = (byName.get(parts[parts.length - 1]) || [])
+        .filter(t => parts.length === 1 || t.qualifiedName === reference || t.fullName.endsWith(`.${reference}`));
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    // Walk outwards through the enclosing types of the referencing type
+    for (let scope = from; scope; scope = scope.parent) {
+        const nested = candidates.find(t => t.parent === scope);
+        if (nested) return nested;
+    }
+    return candidates.find(t => t.symbol.file === from.symbol.file) ||
+        candidates.find(t => !t.parent && t.packageName === from.packageName) ||
+        candidates.find(t => !t.parent) ||
+        candidates[0];
+}
+
+// Computes the dependencies of every type in the LSP data.
+// readLines(file) returns the lines of a Java source file, or [] if unavailable.
+// Returns { types, dependencies } where `types` maps full names to collectTypes()
+// entries and `dependencies` maps full names to sets of full names.
+function computeDependencies(symbols, readLines) {
+    const entries = collectTypes(symbols);
+    const types = new Map();
+    const byName = new Map();
+    for (const entry of entries) {
+        types.set(entry.fullName, entry);
+        if (!byName.has(entry.name)) byName.set(entry.name, []);
+        byName.get(entry.name).push(entry);
+    }
+
+    const dependencies = new Map();
+    for (const entry of entries) {
+        const lines = readLines(entry.symbol.file);
+        const references = supertypeReferences(entry, lines);
+        for (const member of getMembers(entry.symbol)) {
+            if (member.kind === 'field') {
+                references.push(...typeReferences(member.type || fieldTypeFromSource(member, lines)));
+            } else if (member.params) {
+                member.params.forEach(param => references.push(...typeReferences(param)));
+            }
+        }
+
+        const resolved = new Set();
+        for (const reference of references) {
+            const target = resolveReference(reference, entry, byName);
+            if (target && target !== entry) resolved.add(target.fullName);
+        }
+        dependencies.set(entry.fullName, resolved);
+    }
+
+    return { types, dependencies };
+}
+
+// Tarjan's algorithm. edgesOf(node) returns the nodes a node depends on.
+// Returns the strongly connected components as arrays of nodes.
+function stronglyConnectedComponents(nodes, edgesOf) {
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    function visit(node) {
+        index.set(node, counter);
+        lowLink.set(node, counter);
+        counter++;
+        stack.push(node);
+        onStack.add(node);
+
+        for (const next of edgesOf(node)) {
+            if (!index.has(next)) {
+                visit(next);
+                lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+            } else if (onStack.has(next)) {
+                lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+            }
+        }
+
+        if (lowLink.get(node) === index.get(node)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== node);
+            components.push(component);
+        }
+    }
+
+    for (const node of nodes) {
+        if (!index.has(node)) visit(node);
+    }
+    return components;
+}
+
+// Orders nodes so every node comes after the nodes it depends on. Nodes in a
+// dependency cycle are kept together. Among nodes whose dependencies are all
+// satisfied, compare() decides, so independent nodes keep a stable order.
+// edgesOf(node) may return nodes outside of `nodes`, those are ignored.
+// Returns { order, cycles } where cycles lists the components with more than one node.
+function topologicalOrder(nodes, edgesOf, compare) {
+    const nodeSet = new Set(nodes);
+    const edges = node => [...edgesOf(node)].filter(next => nodeSet.has(next) && next !== node);
+
+    const components = stronglyConnectedComponents(nodes, edges).map(component => component.sort(compare));
+    const componentOf = new Map();
+    components.forEach((component, i) => component.forEach(node => componentOf.set(node, i)));
+
+    // Kahn's algorithm on the condensation, edges point from dependency to dependent
+    const dependents = components.map(() => new Set());
+    const remaining = components.map(() => 0);
+    components.forEach((component, i) => {
+        const deps = new Set();
+        component.forEach(node => edges(node).forEach(next => {
+            const j = componentOf.get(next);
+            if (j !== i) deps.add(j);
+        }));
+        deps.forEach(j => dependents[j].add(i));
+        remaining[i] = deps.size;
+    });
+
+    const ready = [];
+    remaining.forEach((count, i) => {
+        if (count === 0) ready.push(i);
+    });
+
+    const order = [];
+    while (ready.length > 0) {
+        ready.sort((a, b) => compare(components[a][0], components[b][0]));
+        const i = ready.shift();
+        order.push(...components[i]);
+        for (const j of dependents[i]) {
+            if (--remaining[j] === 0) ready.push(j);
+        }
+    }
+
+    return { order, cycles: components.filter(component => component.length > 1) };
+}
+
+module.exports = {
+    computeDependencies,
+    stronglyConnectedComponents,
+    topologicalOrder
+};
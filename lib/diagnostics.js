@@ -0,0 +1,166 @@
+// Compiler diagnostics parsing and reporting, shared by the compile checkers.
+//
+// Every checker reports a result of the form
+// { checker, success, files: [{ file, success, diagnostics }], diagnostics }
+// where a diagnostic is { file, line, column, severity, message }.
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+// GCC/Clang style: `file:line:col: error: message`, column and `fatal` optional
+const GCC_DIAGNOSTIC = /^(.+?):(\d+):(?:(\d+):)?\s*(fatal error|error|warning|note):\s*(.*)$/;
+
+// tsc with --pretty false: `file(line,col): error TS2304: message`
+const TSC_DIAGNOSTIC = /^(.+?)\((\d+),(\d+)\):\s*(error|warning|message)\s+(TS\d+):\s*(.*)$/;
+
+// Haxe classic reporting: `file:line: characters a-b : [Warning : ]message`
+const HAXE_DIAGNOSTIC = /^(.+?):(\d+): (?:characters? (\d+)(?:-\d+)?|lines \d+-\d+) : (?:(Warning|Error) : )?(.*)$/;
+
+function normalizeSeverity(severity) {
+    const lower = (severity || 'error').toLowerCase();
+    if (lower === 'fatal error') return 'error';
+    return lower;
+}
+
+function parseGccDiagnostics(output) {
+    const diagnostics = [];
+    for (const line of output.split('\n')) {
+        const match = line.match(GCC_DIAGNOSTIC);
+        if (!match) continue;
+        diagnostics.push({
+            file: match[1],
+            line: parseInt(match[2], 10),
+            column: match[3] ? parseInt(match[3], 10) : null,
+            severity: normalizeSeverity(match[4]),
+            message: match[5]
+        });
+    }
+    return diagnostics;
+}
+
+function parseTscDiagnostics(output) {
+    const diagnostics = [];
+    for (const line of output.split('\n')) {
+        const match = line.match(TSC_DIAGNOSTIC);
+        if (!match) continue;
+        diagnostics.push({
+            file: match[1],
+            line: parseInt(match[2], 10),
+            column: parseInt(match[3], 10),
+            severity: match[4] === 'message' ? 'note' : match[4],
+            message: `${match[5]}: ${match[6]}`
+        });
+    }
+    return diagnostics;
+}
+
+function parseHaxeDiagnostics(output) {
+    const diagnostics = [];
+    for (const line of output.split('\n')) {
+        const match = line.match(HAXE_DIAGNOSTIC);
+        if (!match) continue;
+        diagnostics.push({
+            file: match[1],
+            line: parseInt(match[2], 10),
+            column: match[3] ? parseInt(match[3], 10) : null,
+            severity: normalizeSeverity(match[4]),
+            message: match[5]
+        });
+    }
+    return diagnostics;
+}
+
+// Groups the diagnostics of a whole-project check by file, with paths resolved
+// against the directory the checker ran in. With a list of files only those are
+// reported, each one even without diagnostics, and the diagnostics in other files
+// are counted as ignored. Without one every file with diagnostics is reported.
+function groupByFile(diagnostics, cwd, files) {
+    const byFile = new Map((files || []).map(file => [path.resolve(file), []]));
+    let ignored = 0;
+    for (const diagnostic of diagnostics) {
+        const file = path.resolve(cwd, diagnostic.file);
+        if (!byFile.has(file)) {
+            if (files) {
+                ignored++;
+                continue;
+            }
+            byFile.set(file, []);
+        }
+        byFile.get(file).push({ ...diagnostic, file });
+    }
+    const grouped = [...byFile].map(([file, fileDiagnostics]) => ({
+        file,
+        success: !fileDiagnostics.some(d => d.severity === 'error'),
+        diagnostics: fileDiagnostics
+    }));
+    return { files: grouped, ignored };
+}
+
+// Runs a command without a shell, resolves to { code, output } with stdout and stderr combined
+function run(command, args, options = {}) {
+    return new Promise((resolve) => {
+        let output = '';
+        const child = spawn(command, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+        child.stdout.on('data', data => output += data);
+        child.stderr.on('data', data => output += data);
+        child.on('error', error => resolve({ code: -1, output: `${command}: ${error.message}` }));
+        child.on('close', code => resolve({ code, output }));
+    });
+}
+
+// Runs task(item) for all items with at most `limit` tasks in flight, keeping the result order
+async function runParallel(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index]);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+function countSeverity(diagnostics, severity) {
+    return diagnostics.filter(d => d.severity === severity).length;
+}
+
+// Prints a checker result as text or JSON, returns the process exit code
+function reportResult(result, json) {
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+        return result.success ? 0 : 1;
+    }
+
+    for (const file of result.files) {
+        const errors = countSeverity(file.diagnostics, 'error');
+        const warnings = countSeverity(file.diagnostics, 'warning');
+        const counts = errors + warnings > 0 ? ` (${errors} errors, ${warnings} warnings)` : '';
+        console.log(`${file.success ? '✓' : '✗'} ${file.file}${counts}`);
+        for (const d of file.diagnostics) {
+            const column = d.column ? `:${d.column}` : '';
+            console.log(`    ${d.file}:${d.line}${column}: ${d.severity}: ${d.message}`);
+        }
+        if (!file.success && file.diagnostics.length === 0 && file.output) {
+            // Failed without parseable diagnostics, e.g. a missing compiler
+            console.log(file.output.trim().split('\n').map(line => `    ${line}`).join('\n'));
+        }
+    }
+
+    const failed = result.files.filter(f => !f.success).length;
+    const ignored = result.ignoredDiagnostics ? `, ${result.ignoredDiagnostics} diagnostics in other files ignored` : '';
+    console.log(`\n${result.checker}: ${result.files.length - failed} of ${result.files.length} passed` +
+        `, ${countSeverity(result.diagnostics, 'error')} errors, ${countSeverity(result.diagnostics, 'warning')} warnings${ignored}`);
+    return result.success ? 0 : 1;
+}
+
+module.exports = {
+    parseGccDiagnostics,
+    parseTscDiagnostics,
+    parseHaxeDiagnostics,
+    groupByFile,
+    run,
+    runParallel,
+    reportResult
+};
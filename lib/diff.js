@@ -0,0 +1,192 @@
+// Line diffing shared by the porting tools.
+//
+// diffLines() computes a minimal edit script between two sequences with Myers'
+// O(ND) algorithm, buildHunks() groups the edit script into unified-style hunks.
+
+// Computes the minimal edit script turning oldItems into newItems.
+// Returns a list of { type: 'equal' | 'delete' | 'insert', oldIndex, newIndex },
+// where oldIndex/newIndex are indices into the input arrays (-1 if not applicable).
+function diffLines(oldItems, newItems, equals = (a, b) => a === b) {
+    const ops = [];
+
+    // Strip common prefix and suffix, they don't need to go through the O(ND) search
+    let prefix = 0;
+    while (prefix < oldItems.length && prefix < newItems.length && equals(oldItems[prefix], newItems[prefix])) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldItems.length - prefix && suffix < newItems.length - prefix &&
+        equals(oldItems[oldItems.length - 1 - suffix], newItems[newItems.length - 1 - suffix])) {
+        suffix++;
+    }
+
+    for (let i = 0; i < prefix; i++) {
+        ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+    }
+
+    const a = oldItems.slice(prefix, oldItems.length - suffix);
+    const b = newItems.slice(prefix, newItems.length - suffix);
+    for (const op of myers(a, b, equals)) {
+        ops.push({
+            type: op.type,
+            oldIndex: op.oldIndex === -1 ? -1 : op.oldIndex + prefix,
+            newIndex: op.newIndex === -1 ? -1 : op.newIndex + prefix
+        });
+    }
+
+    for (let i = 0; i < suffix; i++) {
+        ops.push({
+            type: 'equal',
+            oldIndex: oldItems.length - suffix + i,
+            newIndex: newItems.length - suffix + i
+        });
+    }
+
+    return ops;
+}
+
+// Myers' greedy forward search. Keeps one snapshot of the furthest reaching
+// x per diagonal for every edit distance d, then backtracks to get the script.
+function myers(a, b, equals) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 && m === 0) return [];
+
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        // Only diagonals -d..d can have been reached, so only those are saved
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && equals(a[x], b[y])) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Backtrack from (n, m) through the saved snapshots
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const get = (k) => snapshot[k + d];
+        const k = x - y;
+
+        let prevK;
+        if (d === 0) {
+            prevK = 0;
+        } else if (k === -d || (k !== d && get(k - 1) < get(k + 1))) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+        const prevX = d === 0 ? 0 : get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ type: 'equal', oldIndex: x, newIndex: y });
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                y--;
+                ops.push({ type: 'insert', oldIndex: -1, newIndex: y });
+            } else {
+                x--;
+                ops.push({ type: 'delete', oldIndex: x, newIndex: -1 });
+            }
+        }
+    }
+
+    return ops.reverse();
+}
+
+// Groups an edit script into hunks with the given number of context lines around
+// each change. A context of Infinity yields a single hunk covering everything.
+// lineNumber(item) maps an item to the line number reported in the hunk header,
+// which lets callers report source file lines for non-contiguous extracts.
+function buildHunks(ops, oldItems, newItems, context = 3, lineNumber = null) {
+    const changeIndices = [];
+    ops.forEach((op, idx) => {
+        if (op.type !== 'equal') changeIndices.push(idx);
+    });
+    if (changeIndices.length === 0) return [];
+
+    // Merge change regions whose context windows touch or overlap
+    const ranges = [];
+    for (const idx of changeIndices) {
+        const start = Math.max(0, idx - context);
+        const end = Math.min(ops.length - 1, idx + context);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start, end });
+        }
+    }
+
+    const toLine = (items, index) => lineNumber ? lineNumber(items[index]) : index + 1;
+
+    return ranges.map(({ start, end }) => {
+        const lines = [];
+        let oldStart = null, newStart = null;
+        let oldCount = 0, newCount = 0;
+
+        for (let i = start; i <= end; i++) {
+            const op = ops[i];
+            if (op.oldIndex !== -1) {
+                if (oldStart === null) oldStart = toLine(oldItems, op.oldIndex);
+                oldCount++;
+            }
+            if (op.newIndex !== -1) {
+                if (newStart === null) newStart = toLine(newItems, op.newIndex);
+                newCount++;
+            }
+            lines.push({
+                type: op.type,
+                oldItem: op.oldIndex !== -1 ? oldItems[op.oldIndex] : null,
+                newItem: op.newIndex !== -1 ? newItems[op.newIndex] : null
+            });
+        }
+
+        // Empty sides anchor to the line before the hunk, like diff -u does
+        if (oldStart === null) oldStart = anchorLine(ops, start, 'oldIndex', oldItems, toLine);
+        if (newStart === null) newStart = anchorLine(ops, start, 'newIndex', newItems, toLine);
+
+        return { oldStart, oldCount, newStart, newCount, lines };
+    });
+}
+
+function anchorLine(ops, start, key, items, toLine) {
+    for (let i = start - 1; i >= 0; i--) {
+        if (ops[i][key] !== -1) return toLine(items, ops[i][key]);
+    }
+    return 0;
+}
+
+// Formats a hunk header in unified diff style
+function formatHunkHeader(hunk) {
+    return `@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`;
+}
+
+module.exports = { diffLines, buildHunks, formatHunkHeader };
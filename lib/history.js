@@ -0,0 +1,100 @@
+// Porting history: every state transition of a plan item, appended to
+// porting-history.jsonl next to porting-plan.json. The log outlives plan
+// regenerations, so a port can be audited or bisected later.
+//
+// Each line is one transition:
+// { time, user, item, kind, file, from, to, note, plan: { prevBranch, currentBranch },
+//   target: { head, branch, dirty } }
+// where dirty lists the `git status --porcelain` lines below the target runtime path.
+
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const HISTORY_FILE = 'porting-history.jsonl';
+
+function git(args, cwd) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+// The git user configured for a repository, falling back to the OS user
+function gitUser(dir) {
+    try {
+        const name = git(['config', 'user.name'], dir);
+        let email = '';
+        try {
+            email = git(['config', 'user.email'], dir);
+        } catch (error) {
+            // No email configured
+        }
+        return email ? `${name} <${email}>` : name;
+    } catch (error) {
+        return os.userInfo().username;
+    }
+}
+
+// The state of the target runtime repository, head and branch are null if it
+// isn't a git repository
+function targetSnapshot(targetRuntimePath) {
+    const snapshot = { head: null, branch: null, dirty: [] };
+    try {
+        snapshot.head = git(['rev-parse', 'HEAD'], targetRuntimePath);
+        snapshot.branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], targetRuntimePath);
+        const status = execFileSync('git', ['status', '--porcelain', '--untracked-files=all', '--', '.'],
+            { cwd: targetRuntimePath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+        snapshot.dirty = status.split('\n').filter(Boolean);
+    } catch (error) {
+        // Not a git repository, or the path doesn't exist
+    }
+    return snapshot;
+}
+
+// Appends transitions, { item, from, to, note }, with one shared timestamp, user
+// and target snapshot. item is a planItems() item.
+function recordTransitions(plan, transitions, file = HISTORY_FILE) {
+    if (transitions.length === 0) return;
+    const { targetRuntimePath, prevBranch, currentBranch } = plan.metadata;
+    const time = new Date().toISOString();
+    const user = gitUser(targetRuntimePath);
+    const target = targetSnapshot(targetRuntimePath);
+    const lines = transitions.map(({ item, from, to, note }) => JSON.stringify({
+        time,
+        user,
+        item: item.qualifiedName,
+        kind: item.kind,
+        file: item.file,
+        from,
+        to,
+        note: note || null,
+        plan: { prevBranch, currentBranch },
+        target
+    }));
+    fs.appendFileSync(file, lines.join('\n') + '\n');
+}
+
+function readHistory(file = HISTORY_FILE) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${file}:${i + 1}: ${error.message}`);
+        }
+    });
+}
+
+// Returns the history entries of a plan item, a split type includes its member tasks
+function itemHistory(entries, item) {
+    return entries.filter(entry => entry.file === item.file && (entry.item === item.qualifiedName ||
+        (item.kind === 'type' && entry.kind === 'member' && entry.item.startsWith(`${item.qualifiedName}.`) &&
+            !entry.item.substring(item.qualifiedName.length + 1).replace(/\(.*$/, '').includes('.'))));
+}
+
+module.exports = {
+    HISTORY_FILE,
+    gitUser,
+    targetSnapshot,
+    recordTransitions,
+    readHistory,
+    itemHistory
+};
@@ -0,0 +1,117 @@
+// Type lookup in spine-libgdx LSP data, shared by the porting tools.
+//
+// Types are addressable by their simple name (`TrackEntry`), their name qualified
+// by the enclosing types (`AnimationState.TrackEntry`) or their fully qualified
+// name including the package (`com.esotericsoftware.spine.AnimationState.TrackEntry`).
+// Generic parameters are ignored on both sides, so `Foo<T>` matches `Foo`.
+
+const TYPE_KINDS = ['class', 'interface', 'enum'];
+
+function isTypeSymbol(symbol) {
+    return TYPE_KINDS.includes(symbol.kind);
+}
+
+// Removes generic parameters, including nested ones, e.g. `Map<K, Array<V>>` -> `Map`
+function stripGenerics(name) {
+    let result = '';
+    let depth = 0;
+    for (const ch of name) {
+        if (ch === '<') {
+            depth++;
+        } else if (ch === '>') {
+            depth = Math.max(0, depth - 1);
+        } else if (depth === 0) {
+            result += ch;
+        }
+    }
+    return result.trim();
+}
+
+// Derives the package of a Java file from the path below the source root,
+// used when the LSP data has no package symbol for the file. The last `/src/`
+// is the source root, the checkout itself may live below a `src` directory.
+function packageFromPath(file) {
+    const normalized = file.replace(/\\/g, '/');
+    const match = normalized.match(/.*\/src\/(?:main\/java\/)?(.+)\/[^/]+\.java$/) ||
+        normalized.match(/\/((?:com|org|net)\/.+)\/[^/]+\.java$/);
+    return match ? match[1].replace(/\//g, '.') : '';
+}
+
+// Returns every type in the LSP data with its qualified names:
+// { symbol, parent, name, qualifiedName, packageName, fullName }
+// `parent` is the enclosing type's entry, or null for top-level types.
+function collectTypes(symbols) {
+    const packages = new Map();
+    for (const symbol of symbols) {
+        if (symbol.kind === 'package' && symbol.file) {
+            packages.set(symbol.file, symbol.name);
+        }
+    }
+
+    const types = [];
+
+    function visit(symbol, parent, packageName) {
+        if (symbol.kind === 'package') {
+            // Some LSP dumps nest the file's types below the package symbol
+            for (const child of symbol.children || []) {
+                visit(child, null, symbol.name);
+            }
+            return;
+        }
+        if (!isTypeSymbol(symbol)) return;
+
+        const name = stripGenerics(symbol.name);
+        if (packageName === undefined) {
+            packageName = packages.has(symbol.file) ? packages.get(symbol.file) : packageFromPath(symbol.file || '');
+        }
+        const qualifiedName = parent ? `${parent.qualifiedName}.${name}` : name;
+        const entry = {
+            symbol,
+            parent,
+            name,
+            qualifiedName,
+            packageName,
+            fullName: packageName ? `${packageName}.${qualifiedName}` : qualifiedName
+        };
+        types.push(entry);
+
+        for (const child of symbol.children || []) {
+            visit(child, entry, packageName);
+        }
+    }
+
+    for (const symbol of symbols) {
+        visit(symbol, null, undefined);
+    }
+
+    return types;
+}
+
+// Finds the types matching a simple, qualified or package-qualified name.
+// An exact qualified or fully qualified match wins over simple name matches, so
+// a top-level `Pose` stays addressable next to `Bone.Pose`. Returns all matches
+// if the name is ambiguous, callers should report them via formatCandidates().
+function findType(symbols, typeName) {
+    const query = stripGenerics(typeName);
+    const types = collectTypes(symbols);
+
+    const exact = types.filter(t => t.qualifiedName === query || t.fullName === query);
+    if (exact.length > 0) return exact;
+
+    // Allow partially qualified names, e.g. `spine.Animation.RotateTimeline`
+    return types.filter(t => t.name === query || t.fullName.endsWith(`.${query}`));
+}
+
+// Formats ambiguous matches for error output, one qualified candidate per line
+function formatCandidates(matches) {
+    return matches.map(m => `  - ${m.qualifiedName} (${m.symbol.kind}, ${m.fullName}) in ${m.symbol.file}`);
+}
+
+module.exports = {
+    TYPE_KINDS,
+    isTypeSymbol,
+    stripGenerics,
+    collectTypes,
+    findType,
+    formatCandidates
+};
@@ -0,0 +1,178 @@
+// Per-language naming, visibility and parameter type rules for comparing a Java
+// type's API with its counterpart in a target runtime.
+//
+// Members are normalized to { kind, name, canonicalName, params, visible, ... }
+// where canonicalName is the name the member would have in Java, e.g. the
+// spine-cpp field `_duration` becomes `duration` and the spine-haxe accessor
+// `get_duration` becomes the property `duration`.
+
+const { getMembers } = require('./members');
+
+// Lowercases the first character, e.g. `MixBlend_Setup` -> `mixBlend_Setup`
+function lowerFirst(name) {
+    return name.charAt(0).toLowerCase() + name.substring(1);
+}
+
+// Returns the property name of a Java style accessor, e.g. `getDuration` -> `duration`
+function accessorProperty(name) {
+    const match = name.match(/^(?:get|set|is)([A-Z]\w*)$/);
+    return match ? lowerFirst(match[1]) : null;
+}
+
+// Returns the visibility of the access specifier section containing a C++
+// member, by scanning the class body from its start to the member
+function cppVisibility(typeSymbol, member, lines) {
+    const start = typeSymbol.range.start.line;
+    let visibility = /\bstruct\b/.test(lines[start - 1] || '') ? 'public' : 'private';
+    for (let i = start; i < member.line - 1 && i < lines.length; i++) {
+        const label = lines[i].match(/^\s*(public|protected|private)\s*:/);
+        if (label) visibility = label[1];
+    }
+    return visibility;
+}
+
+// Text of a member's declaration up to its name, e.g. `\tpublic static void `
+function declarationPrefix(member, lines) {
+    const position = member.symbol.selectionRange || member.symbol.range;
+    if (!position) return '';
+    const line = lines[position.start.line - 1] || '';
+    return line.substring(0, Math.max(0, position.start.character - 1));
+}
+
+const LANGUAGE_RULES = {
+    java: {
+        canonicalName: member => member.name,
+        isVisible: (typeSymbol, member, lines) => {
+            if (typeSymbol.kind === 'interface' || member.kind === 'enumConstant') return true;
+            if (lines.length === 0) return true;
+            return /\b(public|protected)\b/.test(declarationPrefix(member, lines));
+        },
+        ignore: () => false
+    },
+
+    // spine-cpp: private `_field` members, `Enum_Value` enum constants, RTTI boilerplate
+    cpp: {
+        canonicalName: (member, typeSymbol) => {
+            if (member.kind === 'field') return member.name.replace(/^_/, '');
+            if (member.kind === 'enumConstant') return lowerFirst(member.name.replace(new RegExp(`^${typeSymbol.name}_`), ''));
+            return member.name;
+        },
+        isVisible: (typeSymbol, member, lines) => lines.length === 0 || cppVisibility(typeSymbol, member, lines) !== 'private',
+        ignore: member => member.name.startsWith('~') || member.name.startsWith('operator') ||
+            ['getRTTI', 'rtti'].includes(member.name)
+    },
+
+    // spine-ts: public fields instead of getters/setters, `get x()`/`set x()` accessors
+    typescript: {
+        canonicalName: member => member.name.replace(/^#/, ''),
+        isVisible: (typeSymbol, member, lines) => {
+            if (member.name.startsWith('#')) return false;
+            return !/\bprivate\b/.test(declarationPrefix(member, lines));
+        },
+        ignore: () => false
+    },
+
+    // spine-haxe: `public var x(get, set)` properties backed by `get_x`/`set_x` functions
+    haxe: {
+        canonicalName: member => {
+            const accessor = member.name.match(/^(?:get|set)_(\w+)$/);
+            return accessor ? accessor[1] : member.name;
+        },
+        isVisible: (typeSymbol, member, lines) => lines.length === 0 || /\bpublic\b/.test(declarationPrefix(member, lines)),
+        ignore: () => false
+    },
+
+    // spine-csharp: PascalCase methods and properties, camelCase fields
+    csharp: {
+        canonicalName: member => member.kind === 'enumConstant' ? member.name : lowerFirst(member.name),
+        isVisible: (typeSymbol, member, lines) => {
+            if (typeSymbol.kind === 'interface' || member.kind === 'enumConstant' || lines.length === 0) return true;
+            return /\b(public|protected)\b/.test(declarationPrefix(member, lines));
+        },
+        ignore: member => member.name.startsWith('~')
+    }
+};
+
+function rulesFor(language) {
+    const rules = LANGUAGE_RULES[language];
+    if (!rules) {
+        throw new Error(`No naming rules for language '${language}', supported: ${Object.keys(LANGUAGE_RULES).join(', ')}`);
+    }
+    return rules;
+}
+
+// Returns the normalized members of a type symbol in the given language.
+// readLines(file) returns the lines of a source file, or [] if unavailable.
+function normalizedMembers(typeSymbol, language, readLines) {
+    const rules = rulesFor(language);
+    const lines = readLines(typeSymbol.file);
+    const members = [];
+    for (const member of getMembers(typeSymbol)) {
+        if (rules.ignore(member)) continue;
+        let kind = member.kind;
+        // Haxe accessors stand in for the property they implement
+        if (language === 'haxe' && /^(?:get|set)_\w+$/.test(member.name)) kind = 'field';
+        members.push({
+            ...member,
+            kind,
+            canonicalName: rules.canonicalName(member, typeSymbol),
+            visible: rules.isVisible(typeSymbol, member, lines)
+        });
+    }
+    return members;
+}
+
+// Reduces a parameter to a comparable type name, e.g. `const Skeleton &skeleton`,
+// `skeleton: Skeleton` and `Skeleton` all become `skeleton`. Integer and floating
+// point types stay apart, so `int` and `float` overloads pair up correctly. Arrays
+// and the list types the runtimes port them to all become `array`.
+const TYPE_ALIASES = {
+    boolean: 'bool', double: 'float', byte: 'int', short: 'int', long: 'int', size_t: 'int', str: 'string',
+    floatarray: 'array', intarray: 'array', shortarray: 'array', booleanarray: 'array', vector: 'array',
+    exposedlist: 'array', arraylike: 'array', numberarraylike: 'array'
+};
+const NUMBER_TYPES = ['int', 'float'];
+// Target types that stand in for any Java number type: TypeScript has only `number`,
+// Haxe's `Float` also takes integers
+const ANY_NUMBER_TYPES = { typescript: ['number'], haxe: ['float'] };
+function paramType(param) {
+    let type = param.replace(/=.*$/, '').trim();
+    if (type.includes(':')) type = type.substring(type.indexOf(':') + 1);
+    type = type.replace(/<.*>/, '').replace(/\b(const|final|unsigned|struct)\b/g, '').replace(/[&*?]/g, ' ').trim();
+    const words = type.split(/\s+/);
+    // C++ parameters carry their name after the type
+    if (words.length > 1) type = words[0];
+    if (type.endsWith('[]')) return 'array';
+    type = type.split(/::|\./).pop().toLowerCase();
+    return TYPE_ALIASES[type] || type;
+}
+
+// Scores each parameter type of a Java member against the target member's in
+// the given language: 2 for the same type, 1 for a target type taking any
+// number, 0 if they differ
+function paramScores(javaMember, targetMember, language) {
+    const targetTypes = (targetMember.params || []).map(paramType);
+    const anyNumber = ANY_NUMBER_TYPES[language] || [];
+    return (javaMember.params || []).map(paramType).map((type, i) => type === targetTypes[i] ? 2
+        : NUMBER_TYPES.includes(type) && anyNumber.includes(targetTypes[i]) ? 1 : 0);
+}
+
+// How well a target overload matches a Java overload's parameter types, higher is better
+function typeScore(javaMember, targetMember, language) {
+    return paramScores(javaMember, targetMember, language).reduce((sum, score) => sum + score, 0);
+}
+
+// Whether a target member takes the same parameters as a Java member
+function sameParamTypes(javaMember, targetMember, language) {
+    return (javaMember.params || []).length === (targetMember.params || []).length &&
+        paramScores(javaMember, targetMember, language).every(score => score > 0);
+}
+
+module.exports = {
+    LANGUAGE_RULES,
+    lowerFirst,
+    accessorProperty,
+    normalizedMembers,
+    typeScore,
+    sameParamTypes
+};
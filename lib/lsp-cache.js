@@ -0,0 +1,107 @@
+// Cache of converted LSP JSON files, so unchanged runtimes are not indexed again.
+//
+// Entries are keyed by the runtime name, a hash of how it was indexed (the
+// checkout, the source root and the lsp-cli language), the commit SHA the runtime
+// was indexed at and a hash of the uncommitted changes below its source root, if any:
+// .lsp-cache/<runtime>-<config>-<sha>[-<changes>].json
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CACHE_DIR = '.lsp-cache';
+
+function git(args, cwd) {
+    return execFileSync('git', args, {
+        cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        maxBuffer: 256 * 1024 * 1024
+    });
+}
+
+// Returns { sha, changes } for a source root in a git repository. At a commit the
+// content is fixed, for the working tree (commit null) changes is a hash of the
+// uncommitted and untracked changes below the source root, null if there are none.
+function treeState(repoDir, sourceRoot, commit = null) {
+    const sha = git(['rev-parse', '--verify', `${commit || 'HEAD'}^{commit}`], repoDir).trim();
+    if (commit) return { sha, changes: null };
+
+    const status = git(['status', '--porcelain', '--untracked-files=all', '--', sourceRoot], repoDir);
+    if (status.trim() === '') return { sha, changes: null };
+
+    const hash = crypto.createHash('sha1');
+    hash.update(git(['diff', 'HEAD', '--binary', '--', sourceRoot], repoDir));
+    const topLevel = git(['rev-parse', '--show-toplevel'], repoDir).trim();
+    for (const line of status.split('\n')) {
+        if (!line.startsWith('??')) continue;
+        const file = line.substring(3).replace(/^"|"$/g, '');
+        hash.update(file);
+        try {
+            hash.update(fs.readFileSync(path.join(topLevel, file)));
+        } catch (error) {
+            // Removed while hashing, the name is enough
+        }
+    }
+    return { sha, changes: hash.digest('hex').substring(0, 16) };
+}
+
+// Returns the entry of a runtime indexed as { checkout, sourceRoot, language }
+// in a treeState()
+function cacheFile(runtime, state, { checkout, sourceRoot, language }, cacheDir = CACHE_DIR) {
+    const config = crypto.createHash('sha1')
+        .update([path.resolve(checkout), sourceRoot, language].join('\0'))
+        .digest('hex').substring(0, 8);
+    const changes = state.changes ? `-${state.changes}` : '';
+    return path.join(cacheDir, `${runtime}-${config}-${state.sha}${changes}.json`);
+}
+
+// Copies a cached entry to outputFile, returns false if there is none
+function restoreCached(file, outputFile) {
+    if (!fs.existsSync(file)) return false;
+    fs.copyFileSync(file, outputFile);
+    // Entries are pruned by last use
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return true;
+}
+
+// Stores a converted LSP JSON file, written to a temporary file first so
+// concurrent or interrupted runs never leave a partial entry behind
+function storeCached(file, sourceFile) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.copyFileSync(sourceFile, tmpFile);
+    fs.renameSync(tmpFile, file);
+}
+
+// Removes entries not used in the last maxAgeDays days, returns { removed, kept, freedBytes }
+function pruneCache(maxAgeDays, cacheDir = CACHE_DIR) {
+    const result = { removed: [], kept: 0, freedBytes: 0 };
+    if (!fs.existsSync(cacheDir)) return result;
+
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const name of fs.readdirSync(cacheDir)) {
+        const file = path.join(cacheDir, name);
+        const stats = fs.statSync(file);
+        if (!stats.isFile()) continue;
+        if (stats.mtimeMs < cutoff) {
+            fs.rmSync(file);
+            result.removed.push(name);
+            result.freedBytes += stats.size;
+        } else {
+            result.kept++;
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    CACHE_DIR,
+    treeState,
+    cacheFile,
+    restoreCached,
+    storeCached,
+    pruneCache
+};
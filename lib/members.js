@@ -0,0 +1,118 @@
+// Member extraction from LSP type symbols, shared by the porting tools.
+//
+// Language servers report members differently: jdtls puts the parameter types
+// into the name (`apply(Skeleton, float)`) and the type into the detail
+// (` : void`), clangd keeps the bare name and puts the whole signature into the
+// detail (`void (Skeleton &, float)`). getMembers() normalizes both into
+// { kind, name, params, type, signature, line, symbol }.
+
+const { isTypeSymbol } = require('./java-types');
+
+// Maps LSP symbol kinds to the member kinds we compare
+const MEMBER_KINDS = {
+    method: 'method',
+    function: 'method',
+    constructor: 'constructor',
+    field: 'field',
+    property: 'field',
+    variable: 'field',
+    constant: 'field',
+    enummember: 'enumConstant',
+    enum_member: 'enumConstant'
+};
+
+// Splits a parameter list on top-level commas, keeping generic arguments intact
+function splitParams(list) {
+    const params = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of list) {
+        if (ch === '<' || ch === '(' || ch === '[') depth++;
+        if (ch === '>' || ch === ')' || ch === ']') depth--;
+        if (ch === ',' && depth === 0) {
+            params.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current.trim()) params.push(current.trim());
+    return params;
+}
+
+// Returns the text between the first '(' and its matching ')', or null
+function parenthesized(text) {
+    const start = text.indexOf('(');
+    if (start === -1) return null;
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')' && --depth === 0) return { inner: text.substring(start + 1, i), start, end: i };
+    }
+    return null;
+}
+
+function cleanDetail(detail) {
+    return (detail || '').replace(/^\s*:\s*/, '').trim();
+}
+
+// Normalizes a single member symbol, returns null for non-member symbols
+function toMember(symbol) {
+    const kind = MEMBER_KINDS[(symbol.kind || '').toLowerCase()];
+    if (!kind) return null;
+
+    let name = symbol.name;
+    let params = null;
+    let type = cleanDetail(symbol.detail);
+
+    const fromName = parenthesized(name);
+    if (fromName) {
+        params = splitParams(fromName.inner);
+        name = name.substring(0, fromName.start).trim();
+    } else if (kind === 'method' || kind === 'constructor') {
+        const fromDetail = parenthesized(type);
+        if (fromDetail) {
+            params = splitParams(fromDetail.inner);
+            type = type.substring(0, fromDetail.start).trim();
+        } else {
+            params = [];
+        }
+    }
+
+    let signature = name;
+    if (params) signature += `(${params.join(', ')})`;
+    if (type && kind !== 'constructor' && kind !== 'enumConstant') signature += ` : ${type}`;
+
+    return {
+        kind,
+        name,
+        params,
+        type,
+        signature,
+        line: symbol.range ? symbol.range.start.line : null,
+        symbol
+    };
+}
+
+// Returns the members of a type symbol, excluding nested types
+function getMembers(typeSymbol) {
+    const members = [];
+    for (const child of typeSymbol.children || []) {
+        if (isTypeSymbol(child)) continue;
+        const member = toMember(child);
+        if (member) members.push(member);
+    }
+    return members;
+}
+
+// Key identifying a member independent of its type, e.g. `method apply(Skeleton, float)`
+function memberKey(member) {
+    return member.params ? `${member.kind} ${member.name}(${member.params.join(', ')})` : `${member.kind} ${member.name}`;
+}
+
+module.exports = {
+    splitParams,
+    toMember,
+    getMembers,
+    memberKey
+};
@@ -0,0 +1,46 @@
+// Type outlines for read-java-type.js and read-target-type.js: the declaration,
+// members and nested types of a type symbol, with line numbers, in source order.
+
+const { toMember } = require('./members');
+
+// Returns a type's declaration without the body, e.g. `public class Bone implements Updatable`,
+// starting at the selection range to skip comments and annotations
+function declaration(lines, symbol) {
+    const start = (symbol.selectionRange || symbol.range).start.line;
+    const text = [];
+    for (let i = start - 1; i < lines.length && i < start + 4; i++) {
+        text.push(lines[i].trim());
+        if (lines[i].includes('{')) break;
+    }
+    return text.join(' ').replace(/\s*\{.*$/, '');
+}
+
+// Returns the outline lines of a type symbol read from lines. typeKinds are the
+// symbol kinds that nest, annotate(symbol) may return text appended to a member.
+function outline(symbol, lines, { typeKinds, annotate = () => null }) {
+    const result = [];
+    const visit = (symbol, depth) => {
+        const indent = '    '.repeat(depth);
+        const line = (symbol.selectionRange || symbol.range).start.line;
+        result.push(`${line.toString().padStart(6)}: ${indent}${declaration(lines, symbol)}  (lines ${symbol.range.start.line}-${symbol.range.end.line})`);
+        const children = [...(symbol.children || [])].sort((a, b) => a.range.start.line - b.range.start.line);
+        for (const child of children) {
+            if (typeKinds.includes(child.kind)) {
+                visit(child, depth + 1);
+                continue;
+            }
+            const member = toMember(child);
+            if (!member) continue;
+            const memberLine = (child.selectionRange || child.range).start.line;
+            const note = annotate(child);
+            result.push(`${memberLine.toString().padStart(6)}: ${indent}    ${member.kind.padEnd(12)} ${member.signature}${note ? `  ${note}` : ''}`);
+        }
+    };
+    visit(symbol, 0);
+    return result;
+}
+
+module.exports = {
+    declaration,
+    outline
+};
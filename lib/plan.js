@@ -0,0 +1,214 @@
+// Reading, querying and updating porting-plan.json, shared by the porting tools.
+//
+// The plan tracks five kinds of work items: types in `portingOrder` and the
+// member tasks large types may be split into (state in `portingState`), renamed
+// Java files in `renamedFiles`, types removed from existing Java files in
+// `deletedTypes` and deleted Java files in `deletedFiles` (state in `status`).
+// planItems() presents them uniformly as { kind, entry, file, ... } items.
+//
+// The state of a type with member tasks follows its members: done once all of
+// them are complete, see memberTasksState().
+
+const fs = require('fs');
+const path = require('path');
+
+const PLAN_FILE = 'porting-plan.json';
+
+const STATES = ['pending', 'in-progress', 'done', 'skipped', 'blocked'];
+
+// States that count as finished when computing progress
+const COMPLETE_STATES = ['done', 'skipped'];
+
+// Allowed state transitions, anything else needs --force
+const TRANSITIONS = {
+    'pending': ['in-progress', 'done', 'skipped', 'blocked'],
+    'in-progress': ['pending', 'done', 'skipped', 'blocked'],
+    'blocked': ['pending', 'in-progress', 'skipped'],
+    'done': ['pending', 'in-progress'],
+    'skipped': ['pending', 'in-progress']
+};
+
+function loadPlan(file = PLAN_FILE) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} not found, run generate-porting-plan.js first`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Writes the plan to a temporary file next to the target and renames it into
+// place, so an interrupted write never leaves a truncated plan behind
+function savePlan(plan, file = PLAN_FILE) {
+    const tmpFile = path.join(path.dirname(path.resolve(file)), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpFile, JSON.stringify(plan, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+// Returns the label of a member task within its type, its signature without the
+// type, e.g. `apply(Skeleton, float)` or `duration`
+function memberLabel(member) {
+    return member.signature.replace(/ : .*$/, '');
+}
+
+// Returns the state of a type from the states of its member tasks: done once all
+// are complete, in-progress once any is worked on, blocked if all that are left are
+function memberTasksState(members) {
+    const states = members.map(member => member.portingState);
+    const incomplete = states.filter(state => !COMPLETE_STATES.includes(state));
+    if (incomplete.length === 0) return 'done';
+    if (incomplete.length < states.length || incomplete.includes('in-progress')) return 'in-progress';
+    if (incomplete.every(state => state === 'blocked')) return 'blocked';
+    return 'pending';
+}
+
+function hasMemberTasks(item) {
+    return item.kind === 'type' && (item.entry.members || []).length > 0;
+}
+
+// Returns all work items of the plan in porting order: renamed files first, so the
+// target files carry their new names before types are ported, then types, each
+// followed by its member tasks, then deleted types and files
+function planItems(plan) {
+    const items = [];
+    for (const renamed of plan.renamedFiles || []) {
+        items.push({
+            kind: 'renamedFile',
+            entry: renamed,
+            file: renamed.newPath,
+            name: path.basename(renamed.newPath),
+            qualifiedName: path.basename(renamed.newPath)
+        });
+    }
+    for (const file of plan.portingOrder || []) {
+        for (const type of file.types || []) {
+            items.push({
+                kind: 'type',
+                entry: type,
+                file: file.javaSourcePath,
+                name: type.name,
+                qualifiedName: type.qualifiedName || type.name
+            });
+            for (const member of type.members || []) {
+                items.push({
+                    kind: 'member',
+                    entry: member,
+                    parent: type,
+                    file: file.javaSourcePath,
+                    name: member.name,
+                    qualifiedName: `${type.qualifiedName || type.name}.${memberLabel(member)}`
+                });
+            }
+        }
+    }
+    for (const deleted of plan.deletedTypes || []) {
+        items.push({
+            kind: 'deletedType',
+            entry: deleted,
+            file: deleted.filePath,
+            name: deleted.name,
+            qualifiedName: deleted.qualifiedName
+        });
+    }
+    for (const deleted of plan.deletedFiles || []) {
+        items.push({
+            kind: 'deletedFile',
+            entry: deleted,
+            file: deleted.filePath,
+            name: path.basename(deleted.filePath),
+            qualifiedName: path.basename(deleted.filePath)
+        });
+    }
+    return items;
+}
+
+function getState(item) {
+    return item.kind === 'type' || item.kind === 'member' ? item.entry.portingState : item.entry.status;
+}
+
+// Sets the state of an item, a member task also updates the state of its type
+function setState(item, state) {
+    if (item.kind === 'type' || item.kind === 'member') {
+        item.entry.portingState = state;
+    } else {
+        item.entry.status = state;
+    }
+    if (item.kind === 'member') {
+        item.parent.portingState = memberTasksState(item.parent.members);
+    }
+}
+
+// Throws if the transition isn't allowed. Re-marking with the same state is an error, too.
+function validateTransition(from, to) {
+    if (!STATES.includes(to)) {
+        throw new Error(`Unknown state '${to}', expected one of: ${STATES.join(', ')}`);
+    }
+    if (from === to) {
+        throw new Error(`Already in state '${to}'`);
+    }
+    const allowed = TRANSITIONS[from] || STATES;
+    if (!allowed.includes(to)) {
+        throw new Error(`Can not go from '${from}' to '${to}', allowed: ${allowed.join(', ')} (use --force to override)`);
+    }
+}
+
+// Finds plan items by qualified name, simple name, file name or path.
+// Exact qualified matches win over simple name matches, like findType() does.
+function findItems(plan, query) {
+    const items = planItems(plan);
+
+    const byPath = items.filter(item => item.file === query || path.resolve(query) === item.file);
+    if (byPath.length > 0 && query.includes('/')) return byPath;
+
+    // Allow `File.java:Type` to pick a type from a specific file
+    const separator = query.lastIndexOf(':');
+    if (separator > 0) {
+        const fileName = query.substring(0, separator);
+        const typeName = query.substring(separator + 1);
+        return items.filter(item => (item.kind === 'type' || item.kind === 'deletedType') &&
+            (item.file === fileName || item.file.endsWith(`/${fileName}`)) &&
+            (item.qualifiedName === typeName || item.name === typeName));
+    }
+
+    const exact = items.filter(item => item.qualifiedName === query);
+    if (exact.length > 0) return exact;
+
+    // Member tasks by name without parameters, e.g. `Skeleton.update` for all overloads
+    const members = items.filter(item => item.kind === 'member' && item.qualifiedName.replace(/\(.*$/, '') === query);
+    if (members.length > 0) return members;
+    return items.filter(item => item.kind !== 'member' && item.name === query);
+}
+
+// Returns where a type of a renamed or copied file, or a type moved out of
+// another file, came from, as
+// { how: 'renamed' | 'copied' | 'moved', javaSourcePath, relativePath, qualifiedName },
+// or null if the plan doesn't link it to an old type
+function previousTypeOf(plan, javaSourcePath, qualifiedName) {
+    const item = planItems(plan).find(item => item.kind === 'type' &&
+        item.file === javaSourcePath && item.qualifiedName === qualifiedName);
+    const how = item && ['renamed', 'copied', 'moved'].find(how => item.entry[`${how}From`]);
+    if (!how) return null;
+    const link = item.entry[`${how}From`];
+    return {
+        how,
+        javaSourcePath: link.javaSourcePath,
+        relativePath: path.relative(plan.metadata.spineRuntimesDir, link.javaSourcePath),
+        qualifiedName: link.qualifiedName
+    };
+}
+
+module.exports = {
+    PLAN_FILE,
+    STATES,
+    COMPLETE_STATES,
+    TRANSITIONS,
+    loadPlan,
+    savePlan,
+    memberLabel,
+    memberTasksState,
+    hasMemberTasks,
+    planItems,
+    getState,
+    setState,
+    validateTransition,
+    findItems,
+    previousTypeOf
+};
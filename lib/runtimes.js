@@ -0,0 +1,69 @@
+// Loading the runtime registry, see runtimes.config.js for the format.
+
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'runtimes.config.js');
+const DEFAULT_TYPE_KINDS = ['class', 'interface', 'enum'];
+
+function validateRuntime(name, runtime, configFile) {
+    for (const key of ['sourceRoot', 'language']) {
+        if (typeof runtime[key] !== 'string') {
+            throw new Error(`${configFile}: runtime '${name}' is missing '${key}'`);
+        }
+    }
+    if (!Array.isArray(runtime.extensions) || runtime.extensions.length === 0) {
+        throw new Error(`${configFile}: runtime '${name}' is missing 'extensions'`);
+    }
+}
+
+// Loads and validates the registry, filling in defaults for optional settings
+function loadRuntimeConfig(configFile = DEFAULT_CONFIG_FILE) {
+    const resolved = path.resolve(configFile);
+    let config;
+    try {
+        config = require(resolved);
+    } catch (error) {
+        throw new Error(`Could not load runtime config ${resolved}: ${error.message}`);
+    }
+
+    if (!config.reference) {
+        throw new Error(`${resolved}: missing 'reference' runtime`);
+    }
+    validateRuntime('reference', config.reference, resolved);
+    if (typeof config.reference.diffFilter !== 'string') {
+        throw new Error(`${resolved}: reference runtime is missing 'diffFilter'`);
+    }
+
+    const runtimes = {};
+    for (const [name, runtime] of Object.entries(config.runtimes || {})) {
+        validateRuntime(name, runtime, resolved);
+        const candidateFiles = runtime.candidateFiles || {};
+        runtimes[name] = {
+            ...runtime,
+            candidateFiles: {
+                typeName: candidateFiles.typeName || (typeName => typeName),
+                typeKinds: candidateFiles.typeKinds || DEFAULT_TYPE_KINDS,
+                includeDefinitions: candidateFiles.includeDefinitions || false
+            },
+            compileCheck: runtime.compileCheck || null
+        };
+    }
+    if (Object.keys(runtimes).length === 0) {
+        throw new Error(`${resolved}: no target runtimes configured`);
+    }
+
+    return { file: resolved, reference: { name: 'reference', ...config.reference }, runtimes };
+}
+
+// Expands the placeholders of a runtime's compile check command
+function formatCompileCheck(command, { type, runtimePath }) {
+    return command
+        .replace(/\{type\}/g, type)
+        .replace(/\{runtimePath\}/g, runtimePath);
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    loadRuntimeConfig,
+    formatCompileCheck
+};
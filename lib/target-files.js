@@ -0,0 +1,110 @@
+// Selecting target runtime files for the compile checkers: the candidate files
+// of a type in porting-plan.json, or the files changed in the target working tree.
+// Also commits the changes of a ported type in the target repository.
+
+const path = require('path');
+const { execSync, execFileSync } = require('child_process');
+const { findItems, planItems, getState } = require('./plan');
+
+// Returns the plan item for a type, or throws listing the candidates if ambiguous
+function resolvePlanType(plan, typeName) {
+    const matches = findItems(plan, typeName).filter(item => item.kind === 'type');
+    if (matches.length === 0) {
+        throw new Error(`Type '${typeName}' not found in porting-plan.json`);
+    }
+    if (matches.length > 1) {
+        const candidates = matches.map(item => `  - ${item.qualifiedName} in ${item.file}`).join('\n');
+        throw new Error(`Multiple types named '${typeName}' found, use a qualified name:\n${candidates}`);
+    }
+    return matches[0];
+}
+
+// The type currently marked in-progress, or null
+function inProgressType(plan) {
+    return planItems(plan).find(item => item.kind === 'type' && getState(item) === 'in-progress') || null;
+}
+
+function typeCandidateFiles(plan, typeName) {
+    return resolvePlanType(plan, typeName).entry.candidateFiles || [];
+}
+
+// Files below dir that differ from HEAD in its git working tree, as
+// { status, file, oldFile } with the two letter porcelain status and absolute
+// paths, oldFile only for renames and copies
+function workingTreeChanges(dir) {
+    const git = command => execSync(command, { cwd: dir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    // -z leaves paths with spaces or non-ASCII characters unquoted
+    const entries = git('git status --porcelain -z --untracked-files=all -- .').split('\0');
+    const topLevel = git('git rev-parse --show-toplevel').trim();
+    const changes = [];
+    for (let i = 0; i < entries.length; i++) {
+        if (!entries[i]) continue;
+        const status = entries[i].substring(0, 2);
+        const change = { status, file: path.join(topLevel, entries[i].substring(3)) };
+        // Renames and copies are followed by an entry with the old path
+        if (status[0] === 'R' || status[0] === 'C') change.oldFile = path.join(topLevel, entries[++i]);
+        changes.push(change);
+    }
+    return changes;
+}
+
+// Absolute paths of the files below dir that are modified, added or untracked
+// in its git working tree. Deleted files are left out.
+function changedFiles(dir) {
+    return workingTreeChanges(dir)
+        .filter(change => !change.status.includes('D'))
+        .map(change => change.file)
+        .sort();
+}
+
+// Stages the given changes, including deletions and the old side of renames, and
+// commits only them, whatever else is staged. Returns the new commit's SHA.
+function commitChanges(dir, changes, message) {
+    const files = changes.flatMap(change => change.oldFile ? [change.oldFile, change.file] : [change.file]);
+    const git = (args, input) => execFileSync('git', args, { cwd: dir, input, stdio: ['pipe', 'ignore', 'pipe'] });
+    // Only unstaged sides are added, git add fails on paths already removed from the
+    // index, e.g. a staged deletion or the old side of a staged rename (`RM old -> new`)
+    const unstaged = changes.flatMap(change => {
+        const add = change.status[1] !== ' ' ? [change.file] : [];
+        if (change.oldFile && !'RCD'.includes(change.status[0])) add.push(change.oldFile);
+        return add;
+    });
+    if (unstaged.length > 0) git(['add', '-A', '--', ...unstaged]);
+    git(['commit', '--quiet', '--file', '-', '--', ...files], message);
+    return execSync('git rev-parse HEAD', { cwd: dir, encoding: 'utf8' }).trim();
+}
+
+// Picks the files a checker reports on from its command line selection:
+// explicit files, a type's candidate files, the changed files, or with neither
+// the in-progress type. Returns { files, description }, files is null for all
+// files, e.g. with --all or when no type is in progress.
+function selectTargetFiles(plan, selection, extension) {
+    const matching = files => files.filter(file => file.endsWith(extension));
+    if (selection.files && selection.files.length > 0) {
+        return { files: selection.files, description: 'given files' };
+    }
+    if (selection.all) {
+        return { files: null, description: 'all files' };
+    }
+    if (selection.type) {
+        return { files: matching(typeCandidateFiles(plan, selection.type)), description: `type ${selection.type}` };
+    }
+    if (selection.changed) {
+        return { files: matching(changedFiles(plan.metadata.targetRuntimePath)), description: 'changed files' };
+    }
+    const current = inProgressType(plan);
+    if (current) {
+        return { files: matching(current.entry.candidateFiles || []), description: `in-progress type ${current.qualifiedName}` };
+    }
+    return { files: null, description: 'all files, no type in progress' };
+}
+
+module.exports = {
+    resolvePlanType,
+    inProgressType,
+    typeCandidateFiles,
+    workingTreeChanges,
+    changedFiles,
+    commitChanges,
+    selectTargetFiles
+};
@@ -0,0 +1,58 @@
+// Type lookup in target runtime LSP data, shared by check-api-parity.js and
+// read-target-type.js.
+//
+// Target runtimes usually flatten inner types, so types are matched on the
+// simple name, preferring a matching enclosing type, then the declaration with
+// the most members (e.g. the class over forward declarations).
+
+const { stripGenerics } = require('./java-types');
+
+const TARGET_TYPE_KINDS = ['class', 'interface', 'enum', 'struct'];
+
+// Returns all matches as { symbol, parents }, best first, parents being the
+// names of the enclosing symbols
+function findTargetTypes(targetLspData, name, outerName = null, typeKinds = TARGET_TYPE_KINDS) {
+    const matches = [];
+    function search(symbol, parents) {
+        if (typeKinds.includes(symbol.kind) && stripGenerics(symbol.name) === name) {
+            matches.push({ symbol, parents });
+        }
+        for (const child of symbol.children || []) {
+            search(child, [...parents, stripGenerics(symbol.name)]);
+        }
+    }
+    targetLspData.symbols.forEach(symbol => search(symbol, []));
+
+    const members = m => (m.symbol.children || []).length;
+    return matches.sort((a, b) => {
+        const aNested = outerName && a.parents.includes(outerName) ? 1 : 0;
+        const bNested = outerName && b.parents.includes(outerName) ? 1 : 0;
+        return (bNested - aNested) || (members(b) - members(a));
+    });
+}
+
+// Maps a Java type name, simple or qualified by its enclosing types, to the target
+// lookup { name, outerName, typeKinds } with the runtime's candidateFiles rules, the
+// way findCandidateFiles() in generate-porting-plan.js does. runtime may be null.
+function targetTypeQuery(typeName, runtime) {
+    const mapName = runtime ? runtime.candidateFiles.typeName : name => name;
+    const segments = typeName.split('.');
+    return {
+        name: mapName(segments[segments.length - 1]),
+        outerName: segments.length > 1 ? mapName(segments[segments.length - 2]) : null,
+        typeKinds: runtime ? runtime.candidateFiles.typeKinds : TARGET_TYPE_KINDS
+    };
+}
+
+// Returns the best matching target type symbol, or null
+function findTargetType(targetLspData, name, outerName = null, typeKinds = TARGET_TYPE_KINDS) {
+    const matches = findTargetTypes(targetLspData, name, outerName, typeKinds);
+    return matches.length > 0 ? matches[0].symbol : null;
+}
+
+module.exports = {
+    TARGET_TYPE_KINDS,
+    findTargetTypes,
+    targetTypeQuery,
+    findTargetType
+};
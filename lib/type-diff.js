@@ -0,0 +1,233 @@
+// Diffing a Java type between the two commits of the porting plan, shared by
+// read-java-type-diff.js and report.js.
+//
+// The diff covers the type's own lines including its javadoc, inner types are
+// left out and diffed on their own, recursively. Each inner type is tagged as
+// added, removed, changed (including changes to its own inner types) or unchanged.
+
+const { execSync } = require('child_process');
+const { diffLines, buildHunks, formatHunkHeader } = require('./diff');
+const { TYPE_KINDS, isTypeSymbol, stripGenerics, findType } = require('./java-types');
+const { previousTypeOf } = require('./plan');
+
+function gitShow(spineRuntimesDir, commit, relativePath) {
+    return execSync(`git -C "${spineRuntimesDir}" show ${commit}:${relativePath}`,
+        { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024, stdio: ['pipe', 'pipe', 'ignore'] }).split('\n');
+}
+
+// Helper to extract type content with javadoc, excluding inner types
+function extractTypeContent(content, typeInfo) {
+    if (!typeInfo || content.length === 0) return [];
+
+    let startLine = typeInfo.range.start.line;
+    let endLine = typeInfo.range.end.line;
+
+    // Extend start to include javadoc
+    for (let i = startLine - 2; i >= 0; i--) {
+        const line = content[i] || '';
+        const trimmed = line.trim();
+
+        if (trimmed.startsWith('/**')) {
+            startLine = i + 1;
+            break;
+        }
+
+        if (!trimmed.startsWith('*') && trimmed !== '' && !trimmed.startsWith('@')) {
+            break;
+        }
+
+        if (trimmed.startsWith('*') || trimmed.startsWith('@')) {
+            startLine = i + 1;
+        }
+    }
+
+    // Get inner type ranges to exclude
+    const innerRanges = [];
+    if (typeInfo.children) {
+        for (const child of typeInfo.children) {
+            if (TYPE_KINDS.includes(child.kind)) {
+                // Extend range to include javadoc before inner type
+                let innerStart = child.range.start.line;
+                for (let i = innerStart - 2; i >= 0; i--) {
+                    const line = content[i] || '';
+                    const trimmed = line.trim();
+                    if (trimmed === '') {
+                        innerStart = i + 1;
+                    } else if (!trimmed.startsWith('*') && !trimmed.startsWith('/**') && !trimmed.startsWith('@')) {
+                        break;
+                    } else if (trimmed.startsWith('/**') || trimmed.startsWith('@')) {
+                        innerStart = i + 1;
+                    }
+                }
+
+                // Extend range to include empty lines after inner type
+                let innerEnd = child.range.end.line;
+                for (let i = innerEnd; i < endLine && i < content.length; i++) {
+                    const line = content[i] || '';
+                    if (line.trim() === '') {
+                        innerEnd = i + 1;
+                    } else {
+                        break;
+                    }
+                }
+
+                innerRanges.push({
+                    start: innerStart,
+                    end: innerEnd
+                });
+            }
+        }
+    }
+
+    // Sort inner ranges by start line
+    innerRanges.sort((a, b) => a.start - b.start);
+
+    // Extract lines, skipping inner types
+    const result = [];
+    let skipUntil = -1;
+
+    for (let i = startLine - 1; i < endLine && i < content.length; i++) {
+        const lineNum = i + 1;
+
+        // Check if we're entering an inner type range
+        for (const range of innerRanges) {
+            if (lineNum >= range.start && lineNum <= range.end) {
+                skipUntil = range.end;
+                break;
+            }
+        }
+
+        // Skip if we're in an inner type
+        if (lineNum <= skipUntil) {
+            continue;
+        }
+
+        result.push({
+            lineNum: lineNum,
+            content: content[i]
+        });
+    }
+
+    return result;
+}
+
+// Diffs the own lines of two versions of a type, either may be null if the type
+// was added or removed, then its inner types matched by name. Returns
+// { qualifiedName, status, hunks, inner }.
+function diffSymbols(qualifiedName, oldSymbol, newSymbol, oldContent, newContent, contextLines) {
+    // Minimal line diff of the type content, grouped into unified-style hunks.
+    // Hunk headers carry the Java source line numbers of the old and new file.
+    const oldLines = extractTypeContent(oldContent, oldSymbol);
+    const newLines = extractTypeContent(newContent, newSymbol);
+    const ops = diffLines(oldLines, newLines, (a, b) => a.content === b.content);
+    const hunks = buildHunks(ops, oldLines, newLines, contextLines, line => line.lineNum);
+
+    // Inner types in the order of the new version, removed ones last
+    const innerTypes = symbol => symbol ? (symbol.children || []).filter(isTypeSymbol) : [];
+    const oldInner = new Map(innerTypes(oldSymbol).map(child => [stripGenerics(child.name), child]));
+    const newInner = new Map(innerTypes(newSymbol).map(child => [stripGenerics(child.name), child]));
+    const names = [...newInner.keys(), ...[...oldInner.keys()].filter(name => !newInner.has(name))];
+    const inner = names.map(name => diffSymbols(`${qualifiedName}.${name}`,
+        oldInner.get(name) || null, newInner.get(name) || null, oldContent, newContent, contextLines));
+
+    let status;
+    if (!oldSymbol || oldLines.length === 0) {
+        status = 'added';
+    } else if (!newSymbol) {
+        status = 'removed';
+    } else {
+        status = hunks.length > 0 || inner.some(type => type.status !== 'unchanged') ? 'changed' : 'unchanged';
+    }
+    return { qualifiedName, status, hunks, inner };
+}
+
+// Diffs a type of the new LSP data, a findType() match, against its version at
+// the plan's prevBranch. Follows renames, copies and moves recorded in the plan. Returns
+// { prevBranch, currentBranch, relativePath, oldRelativePath, previous, isNew, hunks, inner },
+// where previous is the previousTypeOf() link, if any, and inner lists the diffs
+// of the inner types as { qualifiedName, status, hunks, inner }.
+function typeDiff(plan, oldLspData, newMatch, contextLines = Infinity) {
+    const { prevBranch, currentBranch, spineRuntimesDir } = plan.metadata;
+    const newType = newMatch.symbol;
+
+    // Get file path
+    const javaFilePath = newType.file;
+    const relativePath = javaFilePath.replace(spineRuntimesDir + '/', '');
+
+    // Follow renames, copies and moves recorded in the plan, the old type may have another
+    // name and live in another file
+    const previous = previousTypeOf(plan, javaFilePath, newMatch.qualifiedName);
+    const oldRelativePath = previous ? previous.relativePath : relativePath;
+
+    // The old LSP data was indexed in a temporary worktree, match its files by relative path
+    let oldMatches;
+    if (previous) {
+        oldMatches = findType(oldLspData.symbols, previous.qualifiedName)
+            .filter(match => match.symbol.file.endsWith(`/${oldRelativePath}`));
+    } else {
+        oldMatches = findType(oldLspData.symbols, newMatch.fullName);
+    }
+    const oldType = oldMatches.length > 0 ? oldMatches[0].symbol : null;
+
+    // Get both versions of the file
+    let oldContent, newContent;
+    try {
+        oldContent = gitShow(spineRuntimesDir, prevBranch, oldRelativePath);
+    } catch (error) {
+        // File might not exist in old version
+        oldContent = [];
+    }
+
+    try {
+        newContent = gitShow(spineRuntimesDir, currentBranch, relativePath);
+    } catch (error) {
+        throw new Error(`Could not read ${relativePath} at ${currentBranch}: ${error.message}`);
+    }
+
+    const diff = diffSymbols(newMatch.qualifiedName, oldType, newType, oldContent, newContent, contextLines);
+    return {
+        prevBranch,
+        currentBranch,
+        relativePath,
+        oldRelativePath,
+        previous,
+        isNew: diff.status === 'added',
+        hunks: diff.hunks,
+        inner: diff.inner
+    };
+}
+
+// Returns the inner type diffs of a typeDiff() result depth first, the inner
+// types of each inner type following it
+function flattenInner(diff) {
+    return diff.inner.flatMap(inner => [inner, ...flattenInner(inner)]);
+}
+
+// Formats hunks of a typeDiff() result, or of one of its inner types, as unified
+// diff lines, empty if there are no changes
+function formatTypeDiff(diff, hunks = diff.hunks) {
+    if (hunks.length === 0) return [];
+    const lines = [
+        `--- ${diff.prevBranch}:${diff.oldRelativePath}`,
+        `+++ ${diff.currentBranch}:${diff.relativePath}`
+    ];
+    for (const hunk of hunks) {
+        lines.push(formatHunkHeader(hunk));
+        for (const line of hunk.lines) {
+            if (line.type === 'delete') {
+                lines.push(`-${line.oldItem.content}`);
+            } else if (line.type === 'insert') {
+                lines.push(`+${line.newItem.content}`);
+            } else {
+                lines.push(` ${line.newItem.content}`);
+            }
+        }
+    }
+    return lines;
+}
+
+module.exports = {
+    typeDiff,
+    flattenInner,
+    formatTypeDiff
+};
@@ -0,0 +1,474 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const {
+    PLAN_FILE, STATES, COMPLETE_STATES,
+    loadPlan, savePlan, planItems, getState, setState, validateTransition, findItems, hasMemberTasks
+} = require('./lib/plan');
+const { formatCompileCheck } = require('./lib/runtimes');
+const { HISTORY_FILE, recordTransitions, readHistory, itemHistory } = require('./lib/history');
+const { workingTreeChanges, commitChanges } = require('./lib/target-files');
+
+function usage() {
+    console.error('Usage: ./plan.js <command> [options]');
+    console.error('\nCommands:');
+    console.error('  status                              Show metadata and progress by state');
+    console.error('  next                                Show the type in progress, or the next pending item');
+    console.error('  show <type>                         Show a type, renamed file, deleted type or file entry');
+    console.error('  mark <type> <state> [--note <text>] Set the state of a type, renamed file, deleted type or file');
+    console.error('       [--commit [--include-outside]] When marking done, commit the target runtime changes');
+    console.error('  reset <type> | --all                Reset a type, or every item, to pending');
+    console.error('  list [--state <state>]              List all items, optionally by state');
+    console.error(`  history [<type>]                    Show the state transitions of an item, or all, from ${HISTORY_FILE}`);
+    console.error('\nOptions:');
+    console.error('  --json             Output JSON instead of text');
+    console.error('  --force            Allow any state transition');
+    console.error('  --include-outside  With --commit, also commit changes outside the candidate files');
+    console.error(`\nStates: ${STATES.join(', ')}`);
+    console.error('Types are addressed by qualified name (AnimationState.TrackEntry), simple name,');
+    console.error('File.java:Type, or, for renamed and deleted files, by file name or path. Member tasks');
+    console.error('of split types by type and member, e.g. Skeleton.update or Skeleton.update(Physics).');
+    console.error('\nExamples:');
+    console.error('  ./plan.js next');
+    console.error('  ./plan.js mark AnimationState.TrackEntry done --note "Ported listener changes"');
+    console.error('  ./plan.js mark Skeleton done --commit');
+    console.error('  ./plan.js list --state blocked');
+    console.error('  ./plan.js history AnimationState.TrackEntry');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = { json: false, force: false, all: false, commit: false, includeOutside: false, note: null, state: null };
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--force') options.force = true;
+    else if (arg === '--all') options.all = true;
+    else if (arg === '--commit') options.commit = true;
+    else if (arg === '--include-outside') options.includeOutside = true;
+    else if (arg === '--note' || arg === '--state') {
+        if (i + 1 >= args.length) {
+            console.error(`Error: ${arg} requires a value`);
+            usage();
+        }
+        options[arg.substring(2)] = args[++i];
+    } else if (arg.startsWith('--')) {
+        console.error(`Error: Unknown option '${arg}'`);
+        usage();
+    } else {
+        positional.push(arg);
+    }
+}
+
+const [command, ...commandArgs] = positional;
+if (!command) usage();
+
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+let plan;
+try {
+    plan = loadPlan();
+} catch (error) {
+    fail(error.message);
+}
+
+// Resolves a single plan item or exits with the list of candidates
+function resolveItem(query) {
+    const matches = findItems(plan, query);
+    if (matches.length === 0) {
+        fail(`'${query}' not found in ${PLAN_FILE}`);
+    }
+    if (matches.length > 1) {
+        console.error(`Error: Multiple entries named '${query}' found, use a qualified name or File.java:Type:`);
+        matches.forEach(item => console.error(`  - ${item.qualifiedName} (${getState(item)}) in ${item.file}`));
+        process.exit(1);
+    }
+    return matches[0];
+}
+
+// The state of a member task's type before setting the member's state, null
+// for other items
+function parentState(item) {
+    return item.kind === 'member' ? item.parent.portingState : null;
+}
+
+// The transition of a member task's type, whose state follows its members, or
+// null if setting the member's state left it unchanged
+function followedParent(item, from) {
+    if (item.kind !== 'member' || item.parent.portingState === from) return null;
+    const parent = planItems(plan).find(other => other.kind === 'type' && other.entry === item.parent);
+    return { item: parent, from, to: item.parent.portingState, note: `Follows ${item.qualifiedName}` };
+}
+
+function itemJson(item) {
+    return { entryType: item.kind, file: item.file, state: getState(item), ...item.entry };
+}
+
+const ITEM_KIND_LABELS = {
+    renamedFile: 'renamed file',
+    deletedType: 'deleted type',
+    deletedFile: 'deleted file'
+};
+
+function itemLabel(item) {
+    let kind = item.kind === 'type' || item.kind === 'member' ? item.entry.kind : ITEM_KIND_LABELS[item.kind];
+    if (item.entry.change) kind += `, ${item.entry.change}`;
+    return `${item.qualifiedName} (${kind}) [${getState(item)}]`;
+}
+
+function printItem(item) {
+    console.log(itemLabel(item));
+    if (item.kind === 'type') {
+        console.log(`  Java:   ${item.file}:${item.entry.startLine}-${item.entry.endLine}`);
+        if (item.entry.movedFrom) {
+            console.log(`  Moved:  from ${item.entry.movedFrom.qualifiedName} in ${item.entry.movedFrom.javaSourcePath}`);
+        }
+        const candidates = item.entry.candidateFiles || [];
+        console.log(`  Target: ${candidates.length > 0 ? candidates.join('\n          ') : '(no candidate files)'}`);
+        if (plan.metadata.compileCheck) {
+            const check = formatCompileCheck(plan.metadata.compileCheck, { type: item.qualifiedName, runtimePath: plan.metadata.targetRuntimePath });
+            console.log(`  Check:  ${check}`);
+        }
+        if (hasMemberTasks(item)) {
+            const members = item.entry.members;
+            const complete = members.filter(member => COMPLETE_STATES.includes(member.portingState)).length;
+            console.log(`  Members: ${complete} of ${members.length} complete`);
+            members.forEach(member => console.log(`    ${member.portingState.padEnd(12)} ${member.change.padEnd(9)} ${member.signature}`));
+        }
+    } else if (item.kind === 'member') {
+        const type = item.parent;
+        const at = item.entry.change === 'removed' ? ` (at ${plan.metadata.prevBranch}, removed in ${plan.metadata.currentBranch})` : '';
+        console.log(`  Java:   ${item.file}:${item.entry.startLine}-${item.entry.endLine}${at}`);
+        if (item.entry.previousSignature) {
+            console.log(`  Was:    ${item.entry.previousSignature}`);
+        }
+        const complete = type.members.filter(member => COMPLETE_STATES.includes(member.portingState)).length;
+        console.log(`  Type:   ${type.qualifiedName} [${type.portingState}], ${complete} of ${type.members.length} member tasks complete`);
+        const candidates = type.candidateFiles || [];
+        console.log(`  Target: ${candidates.length > 0 ? candidates.join('\n          ') : '(no candidate files)'}`);
+        if (plan.metadata.compileCheck) {
+            const check = formatCompileCheck(plan.metadata.compileCheck, { type: type.qualifiedName, runtimePath: plan.metadata.targetRuntimePath });
+            console.log(`  Check:  ${check}`);
+        }
+    } else if (item.kind === 'renamedFile') {
+        console.log(`  Java:   ${item.entry.oldPath}`);
+        console.log(`       -> ${item.entry.newPath} (${item.entry.similarity}% similar)`);
+        item.entry.types.forEach(type => console.log(`  Type:   ${type.from} -> ${type.to}`));
+        const candidates = item.entry.candidateFiles || [];
+        console.log(`  Target: ${candidates.length > 0 ? candidates.join('\n          ') : '(no candidate files)'}`);
+    } else if (item.kind === 'deletedType') {
+        console.log(`  Java:   ${item.file}:${item.entry.startLine}-${item.entry.endLine} (at ${plan.metadata.prevBranch}, deleted in ${plan.metadata.currentBranch})`);
+        if (item.entry.movedTo) {
+            console.log(`  Moved:  ${item.entry.movedTo.qualifiedName} in ${item.entry.movedTo.javaSourcePath}`);
+        }
+        const candidates = item.entry.candidateFiles || [];
+        console.log(`  Target: ${candidates.length > 0 ? candidates.join('\n          ') : '(no candidate files)'}`);
+    } else {
+        console.log(`  Java:   ${item.file} (deleted)`);
+    }
+    if (item.entry.note) {
+        console.log(`  Note:   ${item.entry.note}`);
+    }
+}
+
+// Counts types by their change classification, empty for plans without one
+function countByChange(items) {
+    const counts = {};
+    items.filter(item => item.entry.change).forEach(item => counts[item.entry.change] = (counts[item.entry.change] || 0) + 1);
+    return counts;
+}
+
+function countByState(items) {
+    const counts = {};
+    STATES.forEach(state => counts[state] = 0);
+    items.forEach(item => counts[getState(item)] = (counts[getState(item)] || 0) + 1);
+    return counts;
+}
+
+// The commit message for an item's target changes: what was ported, from which
+// Java file and commit range
+function commitMessage(item) {
+    const { spineRuntimesDir, prevBranch, currentBranch, history } = plan.metadata;
+    const relative = file => path.relative(spineRuntimesDir, file);
+    let subject = `Port ${item.qualifiedName}`;
+    let source = relative(item.file);
+    if (item.kind === 'renamedFile') {
+        subject = `Port rename of ${path.basename(item.entry.oldPath)} to ${item.qualifiedName}`;
+        source = `${relative(item.entry.oldPath)} -> ${source}`;
+    } else if (item.kind === 'deletedType' || item.kind === 'deletedFile') {
+        subject = `Remove ${item.qualifiedName}`;
+    }
+    const lines = [`${subject} (${prevBranch}..${currentBranch})`, '', `Java source: ${source}`];
+    const range = history && history.length > 0 ? history[history.length - 1] : null;
+    if (range && range.fromSha && range.toSha) {
+        lines.push(`Range: ${prevBranch}..${currentBranch} (${range.fromSha.substring(0, 10)}..${range.toSha.substring(0, 10)})`);
+    } else {
+        lines.push(`Range: ${prevBranch}..${currentBranch}`);
+    }
+    if (options.note) lines.push('', options.note);
+    return lines.join('\n') + '\n';
+}
+
+// The target files an item's commit may touch: its candidate files, a member
+// task's are its type's. A renamed file adds the candidate files with the types'
+// new names, a deleted file the changed target files named like the Java file.
+function commitCandidates(item, changes) {
+    const entry = item.parent || item.entry;
+    const candidates = new Set(entry.candidateFiles || []);
+    const stem = file => path.basename(file, path.extname(file));
+    if (item.kind === 'renamedFile') {
+        for (const file of entry.candidateFiles || []) {
+            const renamed = (entry.types || []).find(type => type.from === stem(file));
+            if (renamed) candidates.add(path.join(path.dirname(file), renamed.to + path.extname(file)));
+        }
+    } else if (item.kind === 'deletedFile') {
+        changes.filter(change => stem(change.file) === stem(item.file)).forEach(change => candidates.add(change.file));
+    }
+    return candidates;
+}
+
+// Commits the changes below the target runtime path as the port of an item.
+// Changes outside the item's candidate files belong to another item and are
+// refused, unless --include-outside is given.
+function commitItem(item) {
+    const targetRuntimePath = plan.metadata.targetRuntimePath;
+    let changes;
+    try {
+        changes = workingTreeChanges(targetRuntimePath);
+    } catch (error) {
+        fail(`${targetRuntimePath} is not a git working tree, can't --commit`);
+    }
+    if (changes.length === 0) {
+        console.log(`No changes in ${targetRuntimePath}, nothing to commit`);
+        return;
+    }
+    const candidates = commitCandidates(item, changes);
+    const outside = changes.filter(change => !candidates.has(change.file) && !candidates.has(change.oldFile));
+    if (outside.length > 0 && !options.includeOutside) {
+        const relative = file => path.relative(targetRuntimePath, file);
+        fail(`Changes outside the candidate files of ${item.qualifiedName}, commit them separately or use --include-outside:\n` +
+            outside.map(change => `  ${change.status} ${change.oldFile ? `${relative(change.oldFile)} -> ` : ''}${relative(change.file)}`).join('\n'));
+    }
+    const message = commitMessage(item);
+    try {
+        const sha = commitChanges(targetRuntimePath, changes, message);
+        console.log(`Committed ${changes.length} file${changes.length === 1 ? '' : 's'} to ${targetRuntimePath} as ${sha.substring(0, 10)}`);
+    } catch (error) {
+        fail(`git commit failed: ${(error.stderr || error.message).toString().trim()}`);
+    }
+}
+
+const commands = {
+    status() {
+        const items = planItems(plan);
+        const types = items.filter(item => item.kind === 'type');
+        const deleted = items.filter(item => item.kind === 'deletedFile');
+        const deletedTypes = items.filter(item => item.kind === 'deletedType');
+        const renamed = items.filter(item => item.kind === 'renamedFile');
+        const members = items.filter(item => item.kind === 'member');
+        const complete = list => list.filter(item => COMPLETE_STATES.includes(getState(item))).length;
+        const percent = list => list.length === 0 ? 100 : Math.floor(complete(list) * 100 / list.length);
+
+        const status = {
+            metadata: plan.metadata,
+            types: { total: types.length, complete: complete(types), percent: percent(types), byState: countByState(types), byChange: countByChange(types) },
+            memberTasks: { total: members.length, complete: complete(members), byState: countByState(members) },
+            renamedFiles: { total: renamed.length, complete: complete(renamed), byState: countByState(renamed) },
+            deletedTypes: { total: deletedTypes.length, complete: complete(deletedTypes), byState: countByState(deletedTypes) },
+            deletedFiles: { total: deleted.length, complete: complete(deleted), byState: countByState(deleted) },
+            disappearedTypes: (plan.disappearedTypes || []).length
+        };
+        if (options.json) {
+            console.log(JSON.stringify(status, null, 2));
+            return;
+        }
+
+        const { metadata } = plan;
+        console.log(`${metadata.prevBranch} -> ${metadata.currentBranch}, target ${metadata.targetRuntime} (${metadata.targetRuntimeLanguage})`);
+        console.log(`  Target path: ${metadata.targetRuntimePath}`);
+        if (metadata.history && metadata.history.length > 1) {
+            console.log(`  Merged ranges: ${metadata.history.map(range => `${range.from}..${range.to}`).join(', ')}`);
+        }
+        console.log(`\nTypes: ${status.types.complete} of ${types.length} complete (${status.types.percent}%)`);
+        STATES.forEach(state => console.log(`  ${state.padEnd(12)} ${status.types.byState[state]}`));
+        const changes = Object.entries(status.types.byChange);
+        if (changes.length > 0) {
+            console.log(`  By change: ${changes.map(([change, count]) => `${count} ${change}`).join(', ')}`);
+        }
+        if (members.length > 0) {
+            const splitTypes = types.filter(hasMemberTasks).length;
+            console.log(`\nMember tasks: ${status.memberTasks.complete} of ${members.length} complete, in ${splitTypes} split type(s)`);
+            STATES.forEach(state => {
+                if (status.memberTasks.byState[state] > 0) console.log(`  ${state.padEnd(12)} ${status.memberTasks.byState[state]}`);
+            });
+        }
+        if (renamed.length > 0) {
+            console.log(`\nRenamed files: ${status.renamedFiles.complete} of ${renamed.length} complete`);
+            STATES.forEach(state => {
+                if (status.renamedFiles.byState[state] > 0) console.log(`  ${state.padEnd(12)} ${status.renamedFiles.byState[state]}`);
+            });
+        }
+        if (deletedTypes.length > 0) {
+            console.log(`\nDeleted types: ${status.deletedTypes.complete} of ${deletedTypes.length} complete`);
+            STATES.forEach(state => {
+                if (status.deletedTypes.byState[state] > 0) console.log(`  ${state.padEnd(12)} ${status.deletedTypes.byState[state]}`);
+            });
+        }
+        console.log(`\nDeleted files: ${status.deletedFiles.complete} of ${deleted.length} complete`);
+        STATES.forEach(state => {
+            if (status.deletedFiles.byState[state] > 0) console.log(`  ${state.padEnd(12)} ${status.deletedFiles.byState[state]}`);
+        });
+        if ((plan.disappearedTypes || []).length > 0) {
+            console.log(`\nDisappeared types: ${plan.disappearedTypes.length} (no longer changed, see disappearedTypes)`);
+        }
+    },
+
+    next() {
+        // Split types are done through their member tasks
+        const items = planItems(plan).filter(item => !hasMemberTasks(item));
+        const item = items.find(i => getState(i) === 'in-progress') || items.find(i => getState(i) === 'pending');
+        if (!item) {
+            if (options.json) console.log('null');
+            else console.log('Nothing left to port');
+            return;
+        }
+        if (options.json) console.log(JSON.stringify(itemJson(item), null, 2));
+        else printItem(item);
+    },
+
+    show(query) {
+        if (!query) usage();
+        const item = resolveItem(query);
+        if (options.json) console.log(JSON.stringify(itemJson(item), null, 2));
+        else printItem(item);
+    },
+
+    mark(query, state) {
+        if (!query || !state) usage();
+        const item = resolveItem(query);
+        const from = getState(item);
+        if (!STATES.includes(state)) {
+            fail(`Unknown state '${state}', expected one of: ${STATES.join(', ')}`);
+        }
+        // A split type's state follows its member tasks, forcing it sets all of them
+        if (hasMemberTasks(item) && !options.force) {
+            fail(`${item.qualifiedName} is split into ${item.entry.members.length} member tasks, mark those ` +
+                `(e.g. ${item.qualifiedName}.${item.entry.members[0].name}), or use --force to set all of them`);
+        }
+        if (!options.force) {
+            try {
+                validateTransition(from, state);
+            } catch (error) {
+                fail(`${item.qualifiedName}: ${error.message}`);
+            }
+        }
+        if (options.commit && state !== 'done') {
+            fail('--commit only applies when marking done');
+        }
+        // Commit before touching the plan, so a failed commit leaves the state as it was
+        if (options.commit) {
+            commitItem(item);
+        }
+        const transitions = [{ item, from, to: state, note: options.note }];
+        if (hasMemberTasks(item)) {
+            planItems(plan).filter(member => member.parent === item.entry && getState(member) !== state).forEach(member => {
+                transitions.push({ item: member, from: getState(member), to: state, note: options.note });
+                member.entry.portingState = state;
+            });
+        }
+        const parentFrom = parentState(item);
+        setState(item, state);
+        if (options.note !== null) {
+            item.entry.note = options.note;
+        }
+        const parentTransition = followedParent(item, parentFrom);
+        if (parentTransition) transitions.push(parentTransition);
+        savePlan(plan);
+        recordTransitions(plan, transitions);
+        console.log(`${item.qualifiedName}: ${from} -> ${state}`);
+        if (parentTransition) {
+            console.log(`${parentTransition.item.qualifiedName}: ${parentTransition.from} -> ${parentTransition.to}`);
+        }
+    },
+
+    reset(query) {
+        if (!query && !options.all) usage();
+        const items = options.all ? planItems(plan) : [resolveItem(query)];
+        // Resetting a split type resets its member tasks
+        if (!options.all && hasMemberTasks(items[0])) {
+            items.push(...planItems(plan).filter(member => member.parent === items[0].entry));
+        }
+        const transitions = items.filter(item => getState(item) !== 'pending')
+            .map(item => ({ item, from: getState(item), to: 'pending', note: 'Reset' }));
+        const parentFrom = options.all ? null : parentState(items[0]);
+        for (const item of items) {
+            setState(item, 'pending');
+            delete item.entry.note;
+        }
+        const parentTransition = options.all ? null : followedParent(items[0], parentFrom);
+        if (parentTransition) transitions.push(parentTransition);
+        savePlan(plan);
+        recordTransitions(plan, transitions);
+        console.log(options.all ? `Reset ${items.length} entries to pending` : `${items[0].qualifiedName}: reset to pending`);
+        if (parentTransition) {
+            console.log(`${parentTransition.item.qualifiedName}: ${parentTransition.from} -> ${parentTransition.to}`);
+        }
+    },
+
+    list() {
+        if (options.state && !STATES.includes(options.state)) {
+            fail(`Unknown state '${options.state}', expected one of: ${STATES.join(', ')}`);
+        }
+        const items = planItems(plan).filter(item => !options.state || getState(item) === options.state);
+        if (options.json) {
+            console.log(JSON.stringify(items.map(itemJson), null, 2));
+            return;
+        }
+        for (const item of items) {
+            const note = item.entry.note ? `  # ${item.entry.note}` : '';
+            console.log(`${getState(item).padEnd(12)} ${item.qualifiedName.padEnd(40)} ${item.file}${note}`);
+        }
+    },
+
+    history(query) {
+        let entries;
+        try {
+            entries = readHistory();
+        } catch (error) {
+            fail(error.message);
+        }
+        if (query) {
+            // Items no longer in the plan are looked up in the log by name
+            const matches = findItems(plan, query);
+            entries = matches.length > 0 ? itemHistory(entries, resolveItem(query)) : entries.filter(entry => entry.item === query);
+            if (matches.length === 0 && entries.length === 0) fail(`'${query}' not found in ${PLAN_FILE} or ${HISTORY_FILE}`);
+        }
+        if (options.json) {
+            console.log(JSON.stringify(entries, null, 2));
+            return;
+        }
+        if (entries.length === 0) {
+            console.log(`No state transitions recorded${query ? ` for ${query}` : ''}`);
+            return;
+        }
+        for (const entry of entries) {
+            const { head, branch, dirty } = entry.target;
+            const target = head ? `target ${head.substring(0, 10)} (${branch}), ${dirty.length} dirty file(s)` : 'target not in git';
+            console.log(`${entry.time}  ${entry.item}: ${entry.from} -> ${entry.to}  ${entry.user}`);
+            console.log(`  ${target}, plan ${entry.plan.prevBranch} -> ${entry.plan.currentBranch}`);
+            dirty.forEach(line => console.log(`    ${line}`));
+            if (entry.note) console.log(`  Note: ${entry.note}`);
+        }
+    }
+};
+
+if (!commands[command]) {
+    console.error(`Error: Unknown command '${command}'`);
+    usage();
+}
+commands[command](...commandArgs);
@@ -2,71 +2,257 @@
 
 const fs = require('fs');
 const path = require('path');
+const { execSync } = require('child_process');
+const { TYPE_KINDS, findType, formatCandidates } = require('./lib/java-types');
+const { getMembers, splitParams } = require('./lib/members');
+const { outline: typeOutline } = require('./lib/outline');
+const { PLAN_FILE, loadPlan } = require('./lib/plan');
+const { cacheFile } = require('./lib/lsp-cache');
+const { loadRuntimeConfig } = require('./lib/runtimes');
 
-const args = process.argv.slice(2);
-if (args.length < 1) {
-    console.error('Usage: ./read-java-type.js <type-name>');
+function usage() {
+    console.error('Usage: ./read-java-type.js [--outline] [<revision option>] <type-name>');
+    console.error('       ./read-java-type.js [<revision option>] <type-name>.<member>[(<params>)]');
     console.error('Example: ./read-java-type.js Property');
+    console.error('         ./read-java-type.js AnimationState.TrackEntry');
+    console.error('         ./read-java-type.js com.esotericsoftware.spine.Animation.RotateTimeline');
+    console.error('         ./read-java-type.js --outline AnimationState');
+    console.error('         ./read-java-type.js AnimationState.apply');
+    console.error('         ./read-java-type.js "Animation.apply(Skeleton, float, float, boolean, MixBlend)"');
+    console.error('         ./read-java-type.js --prev AnimationState.TrackEntry');
+    console.error('\nOptions:');
+    console.error('  --outline       Print the declaration, fields, method signatures and nested types');
+    console.error('                  with line numbers instead of the source');
+    console.error('\nRevision options, the default is the plan\'s currentBranch (the working tree without a plan):');
+    console.error('  --current       Read the type at the plan\'s currentBranch');
+    console.error('  --prev          Read the type at the plan\'s prevBranch');
+    console.error('  --rev <rev>     Read the type at any revision with LSP data in .lsp-cache/');
+    console.error('  --working-tree  Read the type from the files on disk');
+    console.error('\nA member prints its source with javadoc, all overloads unless params are given.');
     process.exit(1);
 }
 
-const typeName = args[0];
+// Parse command line arguments
+const args = process.argv.slice(2);
+let outline = false;
+let revisionOption = null; // 'current', 'prev', 'working-tree' or { revision }
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--outline') {
+        outline = true;
+    } else if (arg === '--current' || arg === '--prev' || arg === '--working-tree') {
+        revisionOption = arg.substring(2);
+    } else if (arg === '--rev') {
+        if (i + 1 >= args.length) usage();
+        revisionOption = { revision: args[++i] };
+    } else if (arg.startsWith('--')) {
+        console.error(`Error: Unknown option '${arg}'`);
+        usage();
+    } else {
+        positional.push(arg);
+    }
+}
+if (positional.length !== 1) {
+    usage();
+}
 
-// Read spine-libgdx.json for complete type information
-const spineData = JSON.parse(fs.readFileSync('spine-libgdx.json', 'utf8'));
+const typeName = positional[0];
 
-// Helper function to find a type by name recursively
-function findType(symbols, typeName) {
-    const matches = [];
-    
-    function search(symbol, parent = null) {
-        if (symbol.name === typeName && symbol.kind !== 'package') {
-            matches.push({ symbol, parent });
-        }
-        if (symbol.children) {
-            for (const child of symbol.children) {
-                search(child, symbol);
-            }
-        }
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+const plan = fs.existsSync(PLAN_FILE) ? loadPlan() : null;
+
+function git(command) {
+    return execSync(`git -C "${plan.metadata.spineRuntimesDir}" ${command}`,
+        { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024, stdio: ['pipe', 'pipe', 'ignore'] });
+}
+
+function resolveSha(revision) {
+    try {
+        return git(`rev-parse --verify "${revision}^{commit}"`).trim();
+    } catch (error) {
+        return null;
     }
-    
-    for (const symbol of symbols) {
-        search(symbol);
+}
+
+// The reference runtime's source root relative to the spine-runtimes directory
+function referenceSourceRoot() {
+    const { spineRuntimesDir, referenceRuntimePath } = plan.metadata;
+    return referenceRuntimePath
+        ? path.relative(spineRuntimesDir, referenceRuntimePath)
+        : loadRuntimeConfig().reference.sourceRoot;
+}
+
+// Resolves where to read the type from as { revision, lspFile }, revision is null
+// for the working tree. The LSP data must match the revision for the line ranges
+// to be right: spine-libgdx-old.json was indexed at prevBranch, spine-libgdx.json
+// at currentBranch, other revisions need an entry in the LSP cache.
+function resolveSource() {
+    if (revisionOption === 'working-tree' || (!revisionOption && !plan)) {
+        return { revision: null, lspFile: 'spine-libgdx.json' };
     }
-    
-    return matches;
+    if (!plan) fail(`Reading at a revision needs ${PLAN_FILE}, use --working-tree without one`);
+
+    const { prevBranch, currentBranch } = plan.metadata;
+    if (revisionOption === 'prev') return { revision: prevBranch, lspFile: 'spine-libgdx-old.json' };
+    if (!revisionOption || revisionOption === 'current') return { revision: currentBranch, lspFile: 'spine-libgdx.json' };
+
+    const { revision } = revisionOption;
+    const sha = resolveSha(revision);
+    if (!sha) fail(`Unknown revision '${revision}'`);
+    if (sha === resolveSha(prevBranch)) return { revision, lspFile: 'spine-libgdx-old.json' };
+    if (sha === resolveSha(currentBranch)) return { revision, lspFile: 'spine-libgdx.json' };
+    const reference = plan.metadata.referenceRuntime || 'spine-libgdx';
+    const indexed = {
+        checkout: plan.metadata.spineRuntimesDir,
+        sourceRoot: referenceSourceRoot(),
+        language: loadRuntimeConfig().reference.language
+    };
+    for (const name of [reference, `${reference}-old`]) {
+        const file = cacheFile(name, { sha, changes: null }, indexed);
+        if (fs.existsSync(file)) return { revision, lspFile: file };
+    }
+    fail(`No LSP data for '${revision}' (${sha.substring(0, 10)}), run generate-porting-plan.js with it as <from-commit> to index it`);
 }
 
-// Find all types with this name
-const matches = findType(spineData.symbols, typeName);
+const source = resolveSource();
 
+// Read the LSP data for complete type information
+const spineData = JSON.parse(fs.readFileSync(source.lspFile, 'utf8'));
+
+// Find all types with this name. If there is none, the name may end in a member,
+// e.g. `AnimationState.apply` or `Animation.apply(Skeleton, float)`.
+let matches = findType(spineData.symbols, typeName);
+let memberQuery = null;
 if (matches.length === 0) {
-    console.error(`Error: Type '${typeName}' not found in spine-libgdx.json`);
+    const paren = typeName.indexOf('(');
+    const name = paren === -1 ? typeName : typeName.substring(0, paren);
+    const dot = name.lastIndexOf('.');
+    if (dot > 0) {
+        memberQuery = {
+            label: typeName.substring(dot + 1),
+            name: name.substring(dot + 1),
+            params: paren === -1 ? null : splitParams(typeName.substring(paren + 1, typeName.lastIndexOf(')')))
+        };
+        matches = findType(spineData.symbols, name.substring(0, dot));
+    }
+}
+
+if (matches.length === 0) {
+    console.error(`Error: Type '${typeName}' not found in ${path.basename(source.lspFile)}`);
     process.exit(1);
 }
 
 if (matches.length > 1) {
-    console.error(`Error: Multiple types named '${typeName}' found:`);
-    matches.forEach(m => {
-        console.error(`  - ${m.symbol.file} (${m.symbol.kind})`);
-    });
+    console.error(`Error: Multiple types named '${typeName}' found, use a qualified name:`);
+    formatCandidates(matches).forEach(line => console.error(line));
     process.exit(1);
 }
 
-const { symbol: typeInfo, parent: parentInfo } = matches[0];
+const { symbol: typeInfo } = matches[0];
 const javaFilePath = typeInfo.file;
-const isInner = parentInfo && parentInfo.kind !== 'package';
+const isInner = matches[0].parent !== null;
+
+// Returns the path of a Java file below the repository. Old LSP data was indexed
+// in a temporary worktree, so paths are matched by the reference source root.
+function repositoryPath(file) {
+    const { spineRuntimesDir } = plan.metadata;
+    const sourceRoot = referenceSourceRoot();
+    const index = file.indexOf(`/${sourceRoot}/`);
+    return index === -1 ? path.relative(spineRuntimesDir, file) : file.substring(index + 1);
+}
+
+// Read the Java file, from disk or at the revision
+let fileContent;
+let displayPath = javaFilePath;
+if (source.revision === null) {
+    fileContent = fs.readFileSync(javaFilePath, 'utf8');
+} else {
+    const relativePath = repositoryPath(javaFilePath);
+    displayPath = `${source.revision}:${relativePath}`;
+    try {
+        fileContent = git(`show "${source.revision}:${relativePath}"`);
+    } catch (error) {
+        fail(`Could not read ${displayPath}`);
+    }
 
-// Read the Java file
-const fileContent = fs.readFileSync(javaFilePath, 'utf8');
+    // Reading the working tree instead would silently show other code
+    if (source.revision === plan.metadata.currentBranch) {
+        const workingTreeFile = path.join(plan.metadata.spineRuntimesDir, relativePath);
+        if (fs.existsSync(workingTreeFile) && fs.readFileSync(workingTreeFile, 'utf8') !== fileContent) {
+            console.error(`Warning: ${relativePath} in the working tree differs from ${source.revision}, showing ${source.revision}`);
+        }
+    }
+}
 const lines = fileContent.split('\n');
 
+const formatLine = lineNum => `${lineNum.toString().padStart(6)}:${lines[lineNum - 1]}`;
+
+// Returns the line a declaration starts at, including its javadoc
+function javadocStart(startLine) {
+    let start = startLine;
+    for (let i = startLine - 2; i >= 0; i--) { // -2 because line numbers are 1-based
+        const trimmed = lines[i].trim();
+
+        // If we find the start of javadoc, update our start
+        if (trimmed.startsWith('/**')) {
+            start = i + 1; // +1 because line numbers are 1-based
+            break;
+        }
+
+        // If we're in javadoc (lines starting with *) or empty line, keep going back
+        if (trimmed.startsWith('*') || trimmed === '') {
+            // Only update start if we're in javadoc content
+            if (trimmed.startsWith('*')) {
+                start = i + 1;
+            }
+        } else if (!trimmed.startsWith('@')) {
+            // Stop if we hit a non-empty line that's not javadoc or annotation
+            break;
+        }
+    }
+    return start;
+}
+
+// Print the source of the requested members, with javadoc
+if (memberQuery) {
+    const normalize = params => params.map(param => param.replace(/\s+/g, '')).join(',');
+    const members = getMembers(typeInfo).filter(member => member.name === memberQuery.name &&
+        (!memberQuery.params || (member.params && normalize(member.params) === normalize(memberQuery.params))));
+    if (members.length === 0) {
+        console.error(`Error: Member '${memberQuery.label}' not found in ${matches[0].qualifiedName}`);
+        const candidates = getMembers(typeInfo).filter(member => member.name === memberQuery.name);
+        candidates.forEach(member => console.error(`  - ${member.signature}`));
+        process.exit(1);
+    }
+    const blocks = members.map(member => {
+        const result = [];
+        for (let lineNum = javadocStart(member.symbol.range.start.line); lineNum <= member.symbol.range.end.line && lineNum <= lines.length; lineNum++) {
+            result.push(formatLine(lineNum));
+        }
+        return result.join('\n');
+    });
+    console.log(blocks.join('\n\n'));
+    process.exit(0);
+}
+
+// Print the type as a tree of its members and nested types, in source order
+if (outline) {
+    console.log(displayPath);
+    console.log(typeOutline(typeInfo, lines, { typeKinds: TYPE_KINDS }).join('\n'));
+    process.exit(0);
+}
+
 // Find inner type ranges if this is a parent class
 let innerTypeRanges = [];
 if (!isInner && typeInfo.children) {
     for (const child of typeInfo.children) {
         // Skip non-type children (methods, fields, etc)
-        if (['class', 'interface', 'enum'].includes(child.kind)) {
+        if (TYPE_KINDS.includes(child.kind)) {
             const innerStart = child.range.start.line;
             const innerEnd = child.range.end.line;
             
@@ -99,30 +285,7 @@ const typeStartLine = typeInfo.range.start.line;
 const typeEndLine = typeInfo.range.end.line;
 
 // Find the actual start including javadoc
-let actualStart = typeStartLine;
-
-// Go backwards to find javadoc start
-for (let i = typeStartLine - 2; i >= 0; i--) { // -2 because line numbers are 1-based
-    const line = lines[i];
-    const trimmed = line.trim();
-    
-    // If we find the start of javadoc, update our start
-    if (trimmed.startsWith('/**')) {
-        actualStart = i + 1; // +1 because line numbers are 1-based
-        break;
-    }
-    
-    // If we're in javadoc (lines starting with *) or empty line, keep going back
-    if (trimmed.startsWith('*') || trimmed === '') {
-        // Only update start if we're in javadoc content
-        if (trimmed.startsWith('*')) {
-            actualStart = i + 1;
-        }
-    } else if (!trimmed.startsWith('@')) {
-        // Stop if we hit a non-empty line that's not javadoc or annotation
-        break;
-    }
-}
+const actualStart = javadocStart(typeStartLine);
 
 // Create skip ranges for inner types and surrounding empty lines
 let skipRanges = [];
@@ -162,9 +325,10 @@ const result = [];
 let skippedInnerCount = innerTypeRanges.length;
 let classIndentation = '';
 
-// Check if we need to include one more line for closing brace
+// Check if we need to include one more line for closing brace. The next line
+// of an inner type is the code of its enclosing type, e.g. the enclosing brace.
 let actualEnd = typeEndLine;
-if (actualEnd < lines.length) {
+if (!isInner && actualEnd < lines.length) {
     const nextLine = lines[actualEnd];
     if (nextLine && nextLine.trim() === '}') {
         actualEnd++;
@@ -196,7 +360,7 @@ for (let i = actualStart - 1; i <= actualEnd - 1 && i < lines.length; i++) {
     }
     
     // Add the line with original indentation
-    result.push(`${lineNum.toString().padStart(6)}:${lines[i]}`);
+    result.push(formatLine(lineNum));
 }
 
 // Add summary of removed inner classes if any
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { PLAN_FILE, loadPlan } = require('./lib/plan');
+const { loadRuntimeConfig } = require('./lib/runtimes');
+const { findTargetTypes, targetTypeQuery } = require('./lib/target-types');
+const { outline: typeOutline } = require('./lib/outline');
+
+function usage() {
+    console.error('Usage: ./read-target-type.js [--outline] [--target <file>] <type-name>');
+    console.error('Example: ./read-target-type.js Bone');
+    console.error('         ./read-target-type.js AnimationState.TrackEntry');
+    console.error('         ./read-target-type.js --outline Skeleton');
+    console.error('\nOptions:');
+    console.error('  --outline        Print the declaration, fields, method signatures and nested types');
+    console.error('                   with line numbers instead of the source');
+    console.error('  --target <file>  Target LSP data (default: <targetRuntime>.json from porting-plan.json)');
+    console.error('\nThe type name is the Java one, mapped to the target name like candidateFiles in the');
+    console.error('plan. Members defined outside the declaration, e.g. in a .cpp file, are printed after it.');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let outline = false;
+let targetFile = null;
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--outline') {
+        outline = true;
+    } else if (arg === '--target') {
+        if (i + 1 >= args.length) usage();
+        targetFile = args[++i];
+    } else if (arg.startsWith('--')) {
+        console.error(`Error: Unknown option '${arg}'`);
+        usage();
+    } else {
+        positional.push(arg);
+    }
+}
+if (positional.length !== 1) {
+    usage();
+}
+
+const typeName = positional[0];
+
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+const plan = fs.existsSync(PLAN_FILE) ? loadPlan() : null;
+if (!targetFile && !plan) fail(`No ${PLAN_FILE}, pass the target LSP data with --target`);
+targetFile = targetFile || `${plan.metadata.targetRuntime}.json`;
+if (!fs.existsSync(targetFile)) fail(`${targetFile} not found`);
+
+// Target runtimes of other languages may name or nest types differently
+const runtime = plan ? loadRuntimeConfig().runtimes[plan.metadata.targetRuntime] : null;
+const { name, outerName, typeKinds } = targetTypeQuery(typeName, runtime);
+
+const targetLspData = JSON.parse(fs.readFileSync(targetFile, 'utf8'));
+const matches = findTargetTypes(targetLspData, name, outerName, typeKinds);
+if (matches.length === 0) {
+    fail(`Type '${name}' not found in ${path.basename(targetFile)}`);
+}
+
+const typeInfo = matches[0].symbol;
+
+// Forward declarations have no members, only other full declarations are worth a mention
+const others = matches.slice(1).filter(match => (match.symbol.children || []).length > 0);
+if (others.length > 0) {
+    console.error(`Warning: ${others.length + 1} declarations of '${name}' found, showing ${typeInfo.file}:${typeInfo.range.start.line}. Others:`);
+    others.forEach(match => console.error(`  - ${[...match.parents, match.symbol.name].join('::')} in ${match.symbol.file}:${match.symbol.range.start.line}`));
+}
+
+const fileCache = new Map();
+function readLines(file) {
+    if (!fileCache.has(file)) {
+        try {
+            fileCache.set(file, fs.readFileSync(file, 'utf8').split('\n'));
+        } catch (error) {
+            fail(`Could not read ${file}: ${error.message}`);
+        }
+    }
+    return fileCache.get(file);
+}
+
+const contains = (range, line) => line >= range.start.line && line <= range.end.line;
+
+// Members of the type and its nested types defined outside the declaration,
+// e.g. in the .cpp file. Overloads sharing a definition are listed once.
+function outsideDefinitions(symbol) {
+    const definitions = new Map();
+    const visit = symbol => {
+        for (const child of symbol.children || []) {
+            const definition = child.definition;
+            if (definition && definition.file && definition.range &&
+                !(definition.file === typeInfo.file && contains(typeInfo.range, definition.range.start.line))) {
+                definitions.set(`${definition.file}:${definition.range.start.line}`, definition);
+            }
+            visit(child);
+        }
+    };
+    visit(symbol);
+    return [...definitions.values()];
+}
+
+// Print the type as a tree of its members and nested types, members defined
+// elsewhere point to their definition
+if (outline) {
+    const annotate = symbol => {
+        const definition = symbol.definition;
+        if (!definition || !definition.file || !definition.range) return null;
+        if (definition.file === symbol.file && contains(symbol.range, definition.range.start.line)) return null;
+        return `-> ${path.basename(definition.file)}:${definition.range.start.line}`;
+    };
+    console.log(typeInfo.file);
+    console.log(typeOutline(typeInfo, readLines(typeInfo.file), { typeKinds, annotate }).join('\n'));
+    process.exit(0);
+}
+
+// Returns the line a declaration starts at, including the comments and
+// annotations right above it
+function commentStart(lines, startLine) {
+    let start = startLine;
+    for (let i = startLine - 2; i >= 0; i--) { // -2 because line numbers are 1-based
+        const trimmed = lines[i].trim();
+        if (!/^(\/\/|\/\*|\*|@)/.test(trimmed)) break;
+        start = i + 1;
+    }
+    return start;
+}
+
+function printRange(file, startLine, endLine) {
+    const lines = readLines(file);
+    const result = [];
+    for (let lineNum = commentStart(lines, startLine); lineNum <= endLine && lineNum <= lines.length; lineNum++) {
+        result.push(`${lineNum.toString().padStart(6)}:${lines[lineNum - 1]}`);
+    }
+    return result.join('\n');
+}
+
+// The declaration, then the definitions grouped by file in source order
+console.log(`// ${typeInfo.file}`);
+console.log(printRange(typeInfo.file, typeInfo.range.start.line, typeInfo.range.end.line));
+
+const byFile = new Map();
+for (const definition of outsideDefinitions(typeInfo)) {
+    if (!byFile.has(definition.file)) byFile.set(definition.file, []);
+    byFile.get(definition.file).push(definition);
+}
+for (const [file, definitions] of byFile) {
+    definitions.sort((a, b) => a.range.start.line - b.range.start.line);
+    console.log(`\n// ${file}`);
+    console.log(definitions.map(definition => printRange(file, definition.range.start.line, definition.range.end.line)).join('\n\n'));
+}
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { collectTypes } = require('./lib/java-types');
+const { STATES, COMPLETE_STATES, loadPlan, planItems, getState } = require('./lib/plan');
+const { typeDiff, formatTypeDiff } = require('./lib/type-diff');
+
+function usage() {
+    console.error('Usage: ./report.js [options]');
+    console.error('Example: ./report.js --output reports/week-12');
+    console.error('\nWrites a porting status report of porting-plan.json as <output>.md and <output>.html.');
+    console.error('\nOptions:');
+    console.error('  -o, --output <path>  Output path without extension (default: porting-report)');
+    console.error('  -U, --unified <n>    Lines of context in the embedded type diffs (default: 3)');
+    console.error('  --no-diffs           Leave out the type diffs');
+    process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = { output: 'porting-report', contextLines: 3, diffs: true };
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-o' || arg === '--output') {
+        if (i + 1 >= args.length) usage();
+        options.output = args[++i];
+    } else if (arg === '-U' || arg === '--unified') {
+        const value = args[++i];
+        if (value === undefined || !/^\d+$/.test(value)) {
+            console.error(`Error: Invalid context line count '${value}'`);
+            usage();
+        }
+        options.contextLines = parseInt(value, 10);
+    } else if (arg === '--no-diffs') {
+        options.diffs = false;
+    } else {
+        console.error(`Error: Unknown argument '${arg}'`);
+        usage();
+    }
+}
+
+let plan;
+try {
+    plan = loadPlan();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+const { metadata } = plan;
+
+// The report is built as a list of blocks, rendered to markdown and HTML:
+// { heading, level }, { paragraph }, { table, rows } and { diff }.
+// Inline values are strings, { code } for paths and names, or arrays of those
+// shown on separate lines.
+const blocks = [];
+
+const relative = file => path.relative(metadata.spineRuntimesDir, file);
+const code = text => ({ code: text });
+const files = list => (list || []).length > 0 ? list.map(file => code(relative(file))) : '-';
+const complete = items => items.filter(item => COMPLETE_STATES.includes(getState(item))).length;
+const completeMembers = type => type.members.filter(member => COMPLETE_STATES.includes(member.portingState)).length;
+
+// Loads the LSP data for the embedded diffs, null with a warning if unavailable
+function loadDiffData() {
+    if (!options.diffs) return null;
+    try {
+        return {
+            oldLspData: JSON.parse(fs.readFileSync('spine-libgdx-old.json', 'utf8')),
+            newTypes: collectTypes(JSON.parse(fs.readFileSync('spine-libgdx.json', 'utf8')).symbols)
+        };
+    } catch (error) {
+        console.error(`Warning: Could not load the LSP data, leaving out type diffs: ${error.message}`);
+        return null;
+    }
+}
+
+// Returns the unified diff lines of a plan type, null if it can't be diffed
+function diffOf(diffData, javaSourcePath, type) {
+    const match = diffData.newTypes.find(t => t.symbol.file === javaSourcePath && t.qualifiedName === type.qualifiedName);
+    if (!match) return null;
+    try {
+        return formatTypeDiff(typeDiff(plan, diffData.oldLspData, match, options.contextLines));
+    } catch (error) {
+        console.error(`Warning: Could not diff ${type.qualifiedName}: ${error.message}`);
+        return null;
+    }
+}
+
+// Header
+const items = planItems(plan);
+blocks.push({ heading: `Porting report: ${metadata.prevBranch} → ${metadata.currentBranch}, ${metadata.targetRuntime}`, level: 1 });
+blocks.push({ paragraph: `Generated ${new Date().toISOString()} from porting-plan.json (generated ${metadata.generated}).` });
+if (metadata.history && metadata.history.length > 1) {
+    blocks.push({ paragraph: `Merged ranges: ${metadata.history.map(range => `${range.from}..${range.to}`).join(', ')}.` });
+}
+
+// Progress by kind and state
+const kinds = [
+    ['type', 'Types'],
+    ['member', 'Member tasks'],
+    ['renamedFile', 'Renamed files'],
+    ['deletedType', 'Deleted types'],
+    ['deletedFile', 'Deleted files']
+];
+const progressRows = [];
+for (const [kind, label] of kinds) {
+    const ofKind = items.filter(item => item.kind === kind);
+    if (ofKind.length === 0 && kind !== 'type') continue;
+    const percent = ofKind.length === 0 ? 100 : Math.floor(complete(ofKind) * 100 / ofKind.length);
+    progressRows.push([label, String(ofKind.length), `${complete(ofKind)} (${percent}%)`,
+        ...STATES.map(state => String(ofKind.filter(item => getState(item) === state).length))]);
+}
+blocks.push({ heading: 'Progress', level: 2 });
+blocks.push({ table: ['Kind', 'Total', 'Complete', ...STATES], rows: progressRows });
+
+const changes = {};
+items.filter(item => item.kind === 'type' && item.entry.change)
+    .forEach(item => changes[item.entry.change] = (changes[item.entry.change] || 0) + 1);
+if (Object.keys(changes).length > 0) {
+    blocks.push({ paragraph: `Types by change: ${Object.entries(changes).map(([change, count]) => `${count} ${change}`).join(', ')}.` });
+}
+
+// Renamed files
+if ((plan.renamedFiles || []).length > 0) {
+    blocks.push({ heading: 'Renamed files', level: 2 });
+    blocks.push({
+        table: ['Old path', 'New path', 'Types', 'State', 'Target files', 'Note'],
+        rows: plan.renamedFiles.map(renamed => [
+            code(relative(renamed.oldPath)),
+            code(relative(renamed.newPath)),
+            renamed.types.map(type => `${type.from} → ${type.to}`),
+            renamed.status,
+            files(renamed.candidateFiles),
+            renamed.note || ''
+        ])
+    });
+}
+
+// Deletions that still need to be done in the target
+const pendingDeletions = items.filter(item => (item.kind === 'deletedType' || item.kind === 'deletedFile') &&
+    !COMPLETE_STATES.includes(getState(item)));
+if (pendingDeletions.length > 0) {
+    blocks.push({ heading: 'Pending deletions', level: 2 });
+    blocks.push({
+        table: ['Item', 'Java location', 'State', 'Target files', 'Note'],
+        rows: pendingDeletions.map(item => {
+            const deletedType = item.kind === 'deletedType';
+            const location = deletedType ? `${relative(item.file)}:${item.entry.startLine}-${item.entry.endLine}` : relative(item.file);
+            const movedTo = deletedType && item.entry.movedTo ? [`Moved to ${item.entry.movedTo.qualifiedName}`] : [];
+            return [
+                deletedType ? code(item.qualifiedName) : code(item.name),
+                [code(location), ...movedTo],
+                getState(item),
+                files(item.entry.candidateFiles),
+                item.entry.note || ''
+            ];
+        })
+    });
+}
+
+// Types per file, with their diffs
+const diffData = loadDiffData();
+blocks.push({ heading: 'Types', level: 2 });
+for (const file of plan.portingOrder || []) {
+    const types = file.types || [];
+    blocks.push({ heading: relative(file.javaSourcePath), level: 3 });
+    if (types.length === 0) {
+        blocks.push({ paragraph: 'No types found in the LSP data.' });
+        continue;
+    }
+    blocks.push({
+        table: ['Type', 'Kind', 'Change', 'State', 'Target files', 'Note'],
+        rows: types.map(type => [
+            code(type.qualifiedName || type.name),
+            type.kind,
+            type.change || '-',
+            type.members ? `${type.portingState} (${completeMembers(type)} of ${type.members.length} members)` : type.portingState,
+            files(type.candidateFiles),
+            type.note || ''
+        ])
+    });
+    // Member tasks of split types, removed members are at prevBranch
+    for (const type of types.filter(type => type.members)) {
+        blocks.push({ heading: `${type.qualifiedName || type.name} member tasks`, level: 4 });
+        blocks.push({
+            table: ['Member', 'Kind', 'Change', 'State', 'Java lines', 'Note'],
+            rows: type.members.map(member => [
+                code(member.signature),
+                member.kind,
+                member.change,
+                member.portingState,
+                `${member.startLine}-${member.endLine}${member.change === 'removed' ? ` (${metadata.prevBranch})` : ''}`,
+                member.note || ''
+            ])
+        });
+    }
+    if (!diffData) continue;
+    for (const type of types) {
+        const lines = diffOf(diffData, file.javaSourcePath, type);
+        if (lines && lines.length > 0) {
+            blocks.push({ heading: type.qualifiedName || type.name, level: 4 });
+            blocks.push({ diff: lines });
+        }
+    }
+}
+
+// Types of earlier merges that are no longer changed
+if ((plan.disappearedTypes || []).length > 0) {
+    blocks.push({ heading: 'Disappeared types', level: 2 });
+    blocks.push({
+        table: ['Type', 'Java file', 'Disappeared in', 'State', 'Note'],
+        rows: plan.disappearedTypes.map(type => [
+            code(type.qualifiedName || type.name),
+            code(relative(type.javaSourcePath)),
+            type.disappearedIn,
+            type.portingState,
+            type.note || ''
+        ])
+    });
+}
+
+// Table cells can't contain pipes or line breaks
+function markdownCell(value) {
+    if (Array.isArray(value)) return value.map(markdownCell).join('<br>');
+    const text = (typeof value === 'string' ? value : value.code).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+    return typeof value === 'string' ? text : `\`${text}\``;
+}
+
+function renderMarkdown(blocks) {
+    const out = [];
+    for (const block of blocks) {
+        if (block.heading !== undefined) {
+            out.push(`${'#'.repeat(block.level)} ${block.heading}`);
+        } else if (block.paragraph !== undefined) {
+            out.push(block.paragraph);
+        } else if (block.table) {
+            const row = cells => `| ${cells.map(markdownCell).join(' | ')} |`;
+            out.push([row(block.table), row(block.table.map(() => '---')), ...block.rows.map(row)].join('\n'));
+        } else if (block.diff) {
+            // Use a fence longer than any backtick run in the diff
+            const longest = Math.max(2, ...block.diff.map(line => (line.match(/`+/g) || ['']).reduce((a, b) => Math.max(a, b.length), 0)));
+            const fence = '`'.repeat(longest + 1);
+            out.push([`${fence}diff`, ...block.diff, fence].join('\n'));
+        }
+    }
+    return out.join('\n\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function htmlInline(value) {
+    if (Array.isArray(value)) return value.map(htmlInline).join('<br>');
+    if (typeof value === 'string') return escapeHtml(value).replace(/\n/g, '<br>');
+    return `<code>${escapeHtml(value.code)}</code>`;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1200px; padding: 0 1em; color: #1f2328; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 90%; }
+pre { background: #f6f8fa; padding: 8px; overflow-x: auto; font-size: 85%; }
+pre .add { background: #dafbe1; display: block; }
+pre .del { background: #ffebe9; display: block; }
+pre .hunk { color: #8250df; display: block; }
+summary { cursor: pointer; font-weight: 600; margin: 0.5em 0; }`;
+
+function renderHtml(blocks, title) {
+    const out = [];
+    for (let i = 0; i < blocks.length; i++) {
+        const block = blocks[i];
+        if (block.heading !== undefined) {
+            // Diffs are collapsed below their type's name
+            if (block.level === 4 && blocks[i + 1] && blocks[i + 1].diff) continue;
+            out.push(`<h${block.level}>${escapeHtml(block.heading)}</h${block.level}>`);
+        } else if (block.paragraph !== undefined) {
+            out.push(`<p>${escapeHtml(block.paragraph)}</p>`);
+        } else if (block.table) {
+            const header = block.table.map(cell => `<th>${htmlInline(cell)}</th>`).join('');
+            const rows = block.rows.map(row => `<tr>${row.map(cell => `<td>${htmlInline(cell)}</td>`).join('')}</tr>`);
+            out.push(`<table>\n<tr>${header}</tr>\n${rows.join('\n')}\n</table>`);
+        } else if (block.diff) {
+            const heading = blocks[i - 1] && blocks[i - 1].level === 4 ? blocks[i - 1].heading : 'Diff';
+            const lines = block.diff.map((line, index) => {
+                const className = index < 2 ? 'hunk' : line.startsWith('@@') ? 'hunk' : line.startsWith('+') ? 'add' : line.startsWith('-') ? 'del' : null;
+                return className ? `<span class="${className}">${escapeHtml(line)}</span>` : `${escapeHtml(line)}\n`;
+            });
+            out.push(`<details><summary>${escapeHtml(heading)}</summary><pre>${lines.join('')}</pre></details>`);
+        }
+    }
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        `<style>${HTML_STYLE}\n</style>`,
+        '</head>',
+        '<body>',
+        ...out,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+const markdownFile = `${options.output}.md`;
+const htmlFile = `${options.output}.html`;
+fs.mkdirSync(path.dirname(path.resolve(markdownFile)), { recursive: true });
+fs.writeFileSync(markdownFile, renderMarkdown(blocks));
+fs.writeFileSync(htmlFile, renderHtml(blocks, blocks[0].heading));
+console.log(`Wrote ${markdownFile} and ${htmlFile}`);
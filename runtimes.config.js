@@ -0,0 +1,68 @@
+// Runtimes known to generate-porting-plan.js. Paths are relative to the
+// spine-runtimes directory.
+//
+// reference: the runtime changes are ported from
+//   sourceRoot       source directory indexed by lsp-cli
+//   language         lsp-cli language
+//   extensions       source file extensions, other changed files are ignored
+//   diffFilter       path the git diff between the two commits is limited to
+//
+// runtimes: the runtimes changes can be ported to
+//   sourceRoot, language, extensions as above, extensions also limit candidateFiles
+//   candidateFiles   how to find the files implementing a reference type
+//     typeName           maps a reference type name to the target type name
+//     typeKinds          LSP symbol kinds that declare types
+//     includeDefinitions also add the files defining the type's members, e.g. .cpp files
+//   compileCheck     command to check the port of a type, run from this directory.
+//                    {type} is replaced with the type's qualified name, {runtimePath}
+//                    with the absolute sourceRoot. null if there is none.
+
+module.exports = {
+    reference: {
+        name: 'spine-libgdx',
+        sourceRoot: 'spine-libgdx/spine-libgdx/src',
+        language: 'java',
+        extensions: ['.java'],
+        diffFilter: 'spine-libgdx/spine-libgdx/src/com/esotericsoftware/spine/'
+    },
+
+    runtimes: {
+        'spine-cpp': {
+            sourceRoot: 'spine-cpp/spine-cpp',
+            language: 'cpp',
+            extensions: ['.h', '.cpp'],
+            candidateFiles: {
+                typeKinds: ['class', 'interface', 'enum'],
+                includeDefinitions: true
+            },
+            compileCheck: './compile-cpp.js --type {type}'
+        },
+        'spine-ts': {
+            sourceRoot: 'spine-ts/spine-core',
+            language: 'typescript',
+            extensions: ['.ts'],
+            candidateFiles: {
+                typeKinds: ['class', 'interface', 'enum']
+            },
+            compileCheck: './check-ts.js --type {type}'
+        },
+        'spine-haxe': {
+            sourceRoot: 'spine-haxe/spine-haxe',
+            language: 'haxe',
+            extensions: ['.hx'],
+            candidateFiles: {
+                typeKinds: ['class', 'interface', 'enum']
+            },
+            compileCheck: './check-haxe.js --type {type}'
+        },
+        'spine-csharp': {
+            sourceRoot: 'spine-csharp/src',
+            language: 'csharp',
+            extensions: ['.cs'],
+            candidateFiles: {
+                typeKinds: ['class', 'interface', 'enum', 'struct']
+            },
+            compileCheck: 'dotnet build {runtimePath}/..'
+        }
+    }
+};
@@ -0,0 +1,86 @@
+// commitChanges() in lib/target-files.js against a scratch git repository,
+// for the ways a port leaves the target working tree.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { workingTreeChanges, commitChanges } = require('../lib/target-files');
+
+let repo;
+const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' }).trim();
+const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+    fs.writeFileSync(path.join(repo, file), content);
+};
+// Commits everything in the target directory, returns the files of the new commit
+const commitAll = () => {
+    const dir = path.join(repo, 'target');
+    commitChanges(dir, workingTreeChanges(dir), 'Port\n');
+    return git('-c', 'core.quotePath=false', 'show', '--name-status', '--format=', 'HEAD').split('\n').sort();
+};
+
+beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'commit-changes-'));
+    git('init', '--quiet');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    write('target/Bone.h', 'class Bone {};\n');
+    write('target/IkConstraint.h', 'class IkConstraint {};\n');
+    write('target/Legacy.h', 'class Legacy {};\n');
+    write('README', 'readme\n');
+    git('add', '-A');
+    git('commit', '--quiet', '-m', 'Initial');
+});
+
+afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+});
+
+test('commits modified, untracked and unstaged deleted files', () => {
+    write('target/Bone.h', 'class Bone { int x; };\n');
+    write('target/Slider.h', 'class Slider {};\n');
+    fs.unlinkSync(path.join(repo, 'target/Legacy.h'));
+    assert.deepStrictEqual(commitAll(), ['A\ttarget/Slider.h', 'D\ttarget/Legacy.h', 'M\ttarget/Bone.h']);
+    assert.strictEqual(git('status', '--porcelain'), '');
+});
+
+test('commits a staged rename', () => {
+    git('mv', 'target/IkConstraint.h', 'target/IkSolver.h');
+    assert.deepStrictEqual(commitAll(), ['R100\ttarget/IkConstraint.h\ttarget/IkSolver.h']);
+});
+
+test('commits a staged rename edited afterwards (RM)', () => {
+    git('mv', 'target/IkConstraint.h', 'target/IkSolver.h');
+    write('target/IkSolver.h', 'class IkConstraint {};\nclass IkSolver {};\n');
+    assert.strictEqual(workingTreeChanges(path.join(repo, 'target'))[0].status, 'RM');
+    const files = commitAll();
+    assert.deepStrictEqual(files.map(line => line.split('\t').slice(-1)[0]), ['target/IkSolver.h']);
+    assert.ok(files[0].startsWith('R'), files[0]);
+    assert.strictEqual(git('status', '--porcelain'), '');
+});
+
+test('commits files with spaces and non-ASCII characters in their path', () => {
+    write('target/Bone.h', 'class Bone { int x; };\n');
+    write('target/Path Constraint.h', 'class PathConstraint {};\n');
+    write('target/Ünicode.h', 'class Unicode {};\n');
+    git('mv', 'target/IkConstraint.h', 'target/Ik Solver.h');
+    assert.deepStrictEqual(commitAll(), ['A\ttarget/Path Constraint.h', 'A\ttarget/Ünicode.h',
+        'M\ttarget/Bone.h', 'R100\ttarget/IkConstraint.h\ttarget/Ik Solver.h']);
+    assert.strictEqual(git('status', '--porcelain'), '');
+});
+
+test('commits a staged deletion', () => {
+    git('rm', '--quiet', 'target/Legacy.h');
+    assert.deepStrictEqual(commitAll(), ['D\ttarget/Legacy.h']);
+});
+
+test('leaves files staged outside the target directory out of the commit', () => {
+    write('target/Bone.h', 'class Bone { int x; };\n');
+    write('README', 'changed\n');
+    git('add', 'README');
+    assert.deepStrictEqual(commitAll(), ['M\ttarget/Bone.h']);
+    assert.strictEqual(git('status', '--porcelain'), 'M  README');
+});
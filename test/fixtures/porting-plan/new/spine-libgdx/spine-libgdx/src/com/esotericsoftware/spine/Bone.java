@@ -0,0 +1,17 @@
+package com.esotericsoftware.spine;
+
+public class Bone implements Updatable {
+	final Skeleton skeleton;
+	final Bone parent;
+	float x, y, rotation;
+
+	public Bone (Skeleton skeleton, Bone parent) {
+		this.skeleton = skeleton;
+		this.parent = parent;
+	}
+
+	public void update (float delta) {
+		x += delta;
+		rotation += delta;
+	}
+}
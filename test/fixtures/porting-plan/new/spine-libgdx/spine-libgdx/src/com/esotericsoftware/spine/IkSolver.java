@@ -0,0 +1,31 @@
+package com.esotericsoftware.spine;
+
+public class IkSolver {
+	Bone target;
+	float mix = 1;
+	int bendDirection = 1;
+	boolean compress, stretch;
+
+	public IkSolver (Bone target) {
+		this.target = target;
+	}
+
+	public void update () {
+		apply(target, 0, 0, compress, stretch, mix);
+	}
+
+	public void apply (Bone bone, float targetX, float targetY, boolean compress, boolean stretch, float alpha) {
+		float x = targetX - bone.x;
+		float y = targetY - bone.y;
+		bone.x += x * alpha;
+		bone.y += y * alpha * bendDirection;
+	}
+
+	public float getMix () {
+		return mix;
+	}
+
+	public void setMix (float mix) {
+		this.mix = mix;
+	}
+}
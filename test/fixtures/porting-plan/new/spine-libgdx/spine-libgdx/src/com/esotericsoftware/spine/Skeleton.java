@@ -0,0 +1,16 @@
+package com.esotericsoftware.spine;
+
+public class Skeleton {
+	final Bone[] bones;
+	float time;
+
+	public Skeleton (Bone[] bones) {
+		this.bones = bones;
+	}
+
+	public void update (float delta) {
+		time += delta;
+		for (Bone bone : bones)
+			bone.update(delta);
+	}
+}
@@ -0,0 +1,32 @@
+package com.esotericsoftware.spine;
+
+public class Animation {
+	final String name;
+	float duration;
+
+	public Animation (String name, float duration) {
+		this.name = name;
+		this.duration = duration;
+	}
+
+	public void apply (Skeleton skeleton, float time) {
+		if (time < 0) return;
+		skeleton.update(time);
+	}
+
+	static public class RotateTimeline {
+		int boneIndex;
+
+		public void apply (Skeleton skeleton, float alpha) {
+			skeleton.update(alpha);
+		}
+	}
+
+	static public class ShearTimeline {
+		int boneIndex;
+
+		public void apply (Skeleton skeleton, float alpha) {
+			skeleton.update(alpha * 2);
+		}
+	}
+}
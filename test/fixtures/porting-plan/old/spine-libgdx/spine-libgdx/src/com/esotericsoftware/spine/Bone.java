@@ -0,0 +1,16 @@
+package com.esotericsoftware.spine;
+
+public class Bone implements Updatable {
+	final Skeleton skeleton;
+	final Bone parent;
+	float x, y;
+
+	public Bone (Skeleton skeleton, Bone parent) {
+		this.skeleton = skeleton;
+		this.parent = parent;
+	}
+
+	public void update (float delta) {
+		x += delta;
+	}
+}
@@ -0,0 +1,6 @@
+package com.esotericsoftware.spine;
+
+public class Legacy {
+	public void run () {
+	}
+}
@@ -0,0 +1,14 @@
+package com.esotericsoftware.spine;
+
+public class Skeleton {
+	final Bone[] bones;
+
+	public Skeleton (Bone[] bones) {
+		this.bones = bones;
+	}
+
+	public void update (float delta) {
+		for (Bone bone : bones)
+			bone.update(delta);
+	}
+}
@@ -0,0 +1,5 @@
+package com.esotericsoftware.spine;
+
+public interface Updatable {
+	public void update (float delta);
+}
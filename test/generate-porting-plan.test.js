@@ -0,0 +1,115 @@
+// generate-porting-plan.js with offline inputs against test/fixtures/porting-plan:
+// the old and new spine-libgdx sources, their LSP data in jdtls' shape, the
+// spine-cpp LSP data and the name-status diff between them. Covers a renamed file
+// (IkConstraint.java -> IkSolver.java), a deleted inner type (Animation.ShearTimeline),
+// an unchanged inner type (Animation.RotateTimeline), a deleted file (Legacy.java),
+// member tasks and a dependency cycle (Bone <-> Skeleton).
+//
+// {{root}} in the LSP data stands for the scratch copy of the new sources, {{old}}
+// for the copy of the old ones.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'porting-plan');
+const GENERATOR = path.join(__dirname, '..', 'generate-porting-plan.js');
+const SOURCES = 'spine-libgdx/spine-libgdx/src/com/esotericsoftware/spine';
+
+// Copies the sources and inputs to a scratch directory and runs the generator
+// there, `prepare(old, root)` may change the copied sources first. Returns the
+// plan with the scratch paths replaced by {{root}}.
+function generate(prepare = () => {}) {
+    const tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'porting-plan-')));
+    try {
+        const root = path.join(tmp, 'spine-runtimes');
+        const old = path.join(tmp, 'spine-old');
+        const inputs = path.join(tmp, 'inputs');
+        const work = path.join(tmp, 'work');
+        fs.cpSync(path.join(FIXTURES, 'new'), root, { recursive: true });
+        fs.cpSync(path.join(FIXTURES, 'old'), old, { recursive: true });
+        [inputs, work].forEach(dir => fs.mkdirSync(dir));
+        prepare(old, root);
+
+        const input = name => {
+            const file = path.join(inputs, name);
+            const text = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+            fs.writeFileSync(file, text.split('{{root}}').join(root).split('{{old}}').join(old));
+            return file;
+        };
+        execFileSync(process.execPath, [GENERATOR,
+            '--old-lsp', input('spine-libgdx-old.json'),
+            '--lsp', input('spine-libgdx.json'),
+            '--target-lsp', input('spine-cpp.json'),
+            '--diff', input('diff.txt'),
+            '--split-members', '5',
+            'old', 'new', root, 'spine-cpp'], { cwd: work, stdio: 'pipe', timeout: 60000 });
+
+        return JSON.parse(fs.readFileSync(path.join(work, 'porting-plan.json'), 'utf8').split(root).join('{{root}}'));
+    } finally {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    }
+}
+
+const source = name => `{{root}}/${SOURCES}/${name}`;
+const types = plan => plan.portingOrder.flatMap(file => file.types);
+const typeNamed = (plan, name) => types(plan).find(type => type.qualifiedName === name);
+const members = type => (type.members || []).map(member => `${member.change} ${member.signature}`);
+
+const plan = generate();
+
+test('follows the renamed file and its type', () => {
+    assert.deepStrictEqual(plan.renamedFiles.map(renamed => ({ oldPath: renamed.oldPath, newPath: renamed.newPath, types: renamed.types })), [{
+        oldPath: source('IkConstraint.java'),
+        newPath: source('IkSolver.java'),
+        types: [{ from: 'IkConstraint', to: 'IkSolver' }]
+    }]);
+    const solver = typeNamed(plan, 'IkSolver');
+    assert.deepStrictEqual(solver.renamedFrom, { javaSourcePath: source('IkConstraint.java'), qualifiedName: 'IkConstraint' });
+    assert.strictEqual(solver.change, 'modified');
+    // The target hasn't followed the rename, its files are found under the old name
+    assert.deepStrictEqual(solver.candidateFiles.map(file => path.basename(file)), ['IkConstraint.h', 'IkConstraint.cpp']);
+});
+
+test('lists deleted types and files', () => {
+    assert.deepStrictEqual(plan.deletedTypes.map(type => [type.filePath, type.qualifiedName, type.status]),
+        [[source('Animation.java'), 'Animation.ShearTimeline', 'pending']]);
+    assert.deepStrictEqual(plan.deletedFiles.map(file => [file.filePath, file.status]), [[source('Legacy.java'), 'pending']]);
+    assert.ok(!types(plan).some(type => type.qualifiedName === 'Animation.ShearTimeline'));
+});
+
+test('marks unchanged types done', () => {
+    const rotate = typeNamed(plan, 'Animation.RotateTimeline');
+    assert.strictEqual(rotate.change, 'unchanged');
+    assert.strictEqual(rotate.portingState, 'done');
+    assert.strictEqual(typeNamed(plan, 'Animation').portingState, 'pending');
+});
+
+test('splits large types into tasks for their changed members', () => {
+    // Fields declared together are separate members, only the new one is added
+    assert.deepStrictEqual(members(typeNamed(plan, 'Bone')), ['added rotation : float', 'modified update(float) : void']);
+    assert.deepStrictEqual(members(typeNamed(plan, 'Skeleton')), ['added time : float', 'modified update(float) : void']);
+    assert.ok(members(typeNamed(plan, 'IkSolver')).includes('modified IkSolver(Bone)'));
+    assert.ok(types(plan).every(type => (type.members || []).every(member => member.portingState === 'pending')));
+});
+
+test('orders types after their dependencies', () => {
+    const order = types(plan).map(type => type.qualifiedName);
+    assert.deepStrictEqual(plan.dependencyCycles, [['Bone', 'Skeleton']]);
+    assert.ok(order.indexOf('Bone') < order.indexOf('IkSolver'));
+    assert.ok(order.indexOf('Skeleton') < order.indexOf('Animation'));
+    assert.ok(order.indexOf('Animation') < order.indexOf('Animation.RotateTimeline'));
+});
+
+test('hashes the source of every type', () => {
+    assert.strictEqual(plan.metadata.contentHashes, 'own-lines');
+    for (const type of types(plan)) assert.match(type.contentHash, /^[0-9a-f]{16}$/, type.qualifiedName);
+});
+
+test('fails when an offline input points to a missing source', () => {
+    assert.throws(() => generate(old => fs.rmSync(path.join(old, SOURCES, 'Bone.java'))),
+        error => /Could not read .*Bone\.java at old/.test(error.stderr.toString()));
+});
@@ -0,0 +1,24 @@
+// Package names collectTypes() in lib/java-types.js derives from file paths
+// when the LSP data has no package symbol.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { collectTypes } = require('../lib/java-types');
+
+const range = { start: { line: 1, character: 1 }, end: { line: 3, character: 1 } };
+const packageOf = file => collectTypes([{ name: 'Bone', kind: 'class', file, range, children: [] }])[0].packageName;
+
+test('derives the package below the source root', () => {
+    assert.strictEqual(packageOf('/spine-runtimes/spine-libgdx/spine-libgdx/src/com/esotericsoftware/spine/Bone.java'),
+        'com.esotericsoftware.spine');
+    assert.strictEqual(packageOf('/project/src/main/java/com/esotericsoftware/spine/Bone.java'), 'com.esotericsoftware.spine');
+});
+
+test('ignores src directories above the checkout', () => {
+    assert.strictEqual(packageOf('/home/me/src/spine-runtimes/spine-libgdx/spine-libgdx/src/com/esotericsoftware/spine/Bone.java'),
+        'com.esotericsoftware.spine');
+});
+
+test('falls back to com, org and net without a src directory', () => {
+    assert.strictEqual(packageOf('/checkout/java/com/esotericsoftware/spine/Bone.java'), 'com.esotericsoftware.spine');
+});